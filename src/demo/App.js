@@ -1,9 +1,9 @@
 import React from 'react';
 
-import { useGoogleMapsScript } from '../lib';
+import { useGoogleMapsScriptReady } from '../lib';
 
 const App = () => {
-  const googleMapsReady = useGoogleMapsScript();
+  const googleMapsReady = useGoogleMapsScriptReady();
 
   return (
     <div>
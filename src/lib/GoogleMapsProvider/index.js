@@ -0,0 +1,62 @@
+import React, { createContext, useCallback, useMemo, useState } from 'react';
+
+import useGoogleMapsScript from '../useGoogleMapsScript';
+
+/**
+ * Context with the Google Maps' script state and the map instances registered by id.
+ */
+export const GoogleMapsContext = createContext(null);
+
+/**
+ * Loads Google Maps' API script and keeps the map instances created by useGoogleMap, so nested
+ * components can get them by id through useMapInstance.
+ * @param {Object} props Component props;
+ * @param {String} [props.clientId] Your Google Maps' client ID (deprecated by Google);
+ * @param {Object} [props.options] Same options accepted by useGoogleMapsScript;
+ * @param {React.ReactNode} props.children Rendered tree;
+ * @returns {React.ReactElement} The provider.
+ */
+const GoogleMapsProvider = ({ clientId, options, children }) => {
+  const googleMapsScript = useGoogleMapsScript(clientId, options);
+  const [maps, setMaps] = useState({});
+
+  /**
+   * Registers a map instance by id.
+   * @param {String} id Map's id.
+   * @param {window.google.maps.Map} map Google Maps' Map instance.
+   * @returns {void}
+   */
+  const _registerMap = useCallback((id, map) => {
+    setMaps((previousMaps) => ({ ...previousMaps, [id]: map }));
+  }, []);
+
+  /**
+   * Unregisters a map instance, unless another instance was registered with the same id since.
+   * @param {String} id Map's id.
+   * @param {window.google.maps.Map} map Google Maps' Map instance.
+   * @returns {void}
+   */
+  const _unregisterMap = useCallback((id, map) => {
+    setMaps((previousMaps) => {
+      if (previousMaps[id] !== map) return previousMaps;
+
+      const { [id]: removedMap, ...remainingMaps } = previousMaps;
+
+      return remainingMaps;
+    });
+  }, []);
+
+  const _value = useMemo(
+    () => ({
+      ...googleMapsScript,
+      maps,
+      registerMap: _registerMap,
+      unregisterMap: _unregisterMap,
+    }),
+    [googleMapsScript, maps, _registerMap, _unregisterMap]
+  );
+
+  return <GoogleMapsContext.Provider value={_value}>{children}</GoogleMapsContext.Provider>;
+};
+
+export default GoogleMapsProvider;
@@ -0,0 +1,51 @@
+import { Component } from 'react';
+
+import { clearFailedScripts } from '../scriptRegistry';
+
+/**
+ * Catches the errors thrown by the hooks in suspense mode, rendering the fallback instead.
+ * @param {Object} props Component props;
+ * @param {(React.ReactNode|Function)} [props.fallback] Rendered on errors. When a function, it is
+ * called with the error and the retry function;
+ * @param {Function} [props.onError] Called with the error and its info when one is caught;
+ * @param {Function} [props.onRetry] Called when retry is called, before rendering the children;
+ * @param {React.ReactNode} props.children Rendered tree;
+ */
+class ScriptErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    const { onError } = this.props;
+
+    if (onError) onError(error, info);
+  }
+
+  /**
+   * Forgets the failed scripts and renders the children again, loading them once more.
+   * @returns {void}
+   */
+  retry = () => {
+    const { onRetry } = this.props;
+
+    clearFailedScripts();
+
+    if (onRetry) onRetry();
+
+    this.setState({ error: null });
+  };
+
+  render() {
+    const { fallback = null, children } = this.props;
+    const { error } = this.state;
+
+    if (!error) return children;
+
+    return typeof fallback === 'function' ? fallback({ error, retry: this.retry }) : fallback;
+  }
+}
+
+export default ScriptErrorBoundary;
@@ -0,0 +1,52 @@
+import { clusterPoints, toLatLngLiteral } from '../clustering';
+
+const getPosition = (item) => item;
+
+describe('toLatLngLiteral', () => {
+  it('converts LatLng instances to literals', () => {
+    const latLng = { lat: () => 1, lng: () => 2 };
+
+    expect(toLatLngLiteral(latLng)).toEqual({ lat: 1, lng: 2 });
+  });
+
+  it('keeps literals', () => {
+    expect(toLatLngLiteral({ lat: 1, lng: 2 })).toEqual({ lat: 1, lng: 2 });
+  });
+});
+
+describe('clusterPoints', () => {
+  const nearbyPoints = [{ lat: 0, lng: 0 }, { lat: 0.001, lng: 0.001 }];
+  const farPoint = { lat: 40, lng: 40 };
+
+  it('groups nearby points in a cluster', () => {
+    const clusters = clusterPoints([...nearbyPoints, farPoint], { zoom: 5, getPosition });
+    const cluster = clusters.find(({ count }) => count === 2);
+
+    expect(clusters).toHaveLength(2);
+    expect(cluster.items).toEqual(nearbyPoints);
+    expect(cluster.position).toEqual({ lat: 0.0005, lng: 0.0005 });
+    expect(cluster.bounds).toEqual({ north: 0.001, south: 0, east: 0.001, west: 0 });
+  });
+
+  it('keeps points alone in clusters with count 1', () => {
+    const clusters = clusterPoints([...nearbyPoints, farPoint], { zoom: 5, getPosition });
+
+    expect(clusters.find(({ count }) => count === 1).items).toEqual([farPoint]);
+  });
+
+  it('does not cluster fewer items than minClusterSize', () => {
+    const clusters = clusterPoints(nearbyPoints, { zoom: 5, getPosition, minClusterSize: 3 });
+
+    expect(clusters.map(({ count }) => count)).toEqual([1, 1]);
+  });
+
+  it('does not cluster above maxZoom', () => {
+    const clusters = clusterPoints(nearbyPoints, { zoom: 5, getPosition, maxZoom: 4 });
+
+    expect(clusters).toHaveLength(2);
+  });
+
+  it('separates points farther apart than the grid size', () => {
+    expect(clusterPoints(nearbyPoints, { zoom: 20, getPosition })).toHaveLength(2);
+  });
+});
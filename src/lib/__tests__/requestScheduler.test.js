@@ -0,0 +1,126 @@
+import { createRequestScheduler } from '../requestScheduler';
+
+const createDeferredRequest = () => {
+  const deferred = {};
+
+  deferred.request = jest.fn(
+    () =>
+      new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      })
+  );
+
+  return deferred;
+};
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('createRequestScheduler', () => {
+  it('runs at most the configured number of concurrent requests', async () => {
+    const scheduler = createRequestScheduler({ concurrency: 2, requestsPerSecond: 100 });
+    const requests = [createDeferredRequest(), createDeferredRequest(), createDeferredRequest()];
+    const promises = requests.map(({ request }) => scheduler.schedule(request));
+
+    expect(requests.map(({ request }) => request.mock.calls.length)).toEqual([1, 1, 0]);
+    expect(scheduler.pending).toBe(3);
+
+    requests[0].resolve('first');
+    await expect(promises[0]).resolves.toBe('first');
+    await flushPromises();
+
+    expect(requests[2].request).toHaveBeenCalledTimes(1);
+
+    requests[1].resolve('second');
+    requests[2].resolve('third');
+    await expect(Promise.all(promises)).resolves.toEqual(['first', 'second', 'third']);
+    expect(scheduler.pending).toBe(0);
+  });
+
+  it('limits how many requests start per second', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    jest.useFakeTimers();
+
+    try {
+      const scheduler = createRequestScheduler({ concurrency: 10, requestsPerSecond: 2 });
+      const requests = [jest.fn(), jest.fn(), jest.fn()];
+
+      requests.forEach((request) => scheduler.schedule(request));
+
+      expect(requests.map((request) => request.mock.calls.length)).toEqual([1, 1, 0]);
+
+      now.mockReturnValue(1000);
+      jest.advanceTimersByTime(1000);
+
+      expect(requests[2]).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+      now.mockRestore();
+    }
+  });
+
+  it('retries requests rejected with a rate-limit status', async () => {
+    const scheduler = createRequestScheduler({ backoff: 1 });
+    const request = jest
+      .fn()
+      .mockRejectedValueOnce({ status: 'OVER_QUERY_LIMIT' })
+      .mockResolvedValueOnce('result');
+
+    await expect(scheduler.schedule(request)).resolves.toBe('result');
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry other errors', async () => {
+    const scheduler = createRequestScheduler({ backoff: 1 });
+    const error = { status: 'REQUEST_DENIED' };
+    const request = jest.fn().mockRejectedValue(error);
+
+    await expect(scheduler.schedule(request)).rejects.toBe(error);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects aborted requests with an AbortError and leaves them out of the queue', async () => {
+    const scheduler = createRequestScheduler({ concurrency: 1 });
+    const running = createDeferredRequest();
+    const queued = jest.fn();
+    const controller = new AbortController();
+
+    scheduler.schedule(running.request);
+    const promise = scheduler.schedule(queued, { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(promise).rejects.toHaveProperty('name', 'AbortError');
+
+    running.resolve();
+    await flushPromises();
+
+    expect(queued).not.toHaveBeenCalled();
+    expect(scheduler.pending).toBe(0);
+  });
+
+  it('rejects right away when the signal is already aborted', async () => {
+    const scheduler = createRequestScheduler();
+    const request = jest.fn();
+    const controller = new AbortController();
+
+    controller.abort();
+
+    await expect(scheduler.schedule(request, { signal: controller.signal })).rejects.toHaveProperty(
+      'name',
+      'AbortError'
+    );
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  it('removes the abort listener once the request settles', async () => {
+    const scheduler = createRequestScheduler();
+    const controller = new AbortController();
+    const removeEventListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+    await scheduler.schedule(() => 'result', { signal: controller.signal });
+
+    expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+  });
+});
@@ -0,0 +1,263 @@
+import {
+  SCRIPT_STATUS,
+  releaseScript,
+  requestScript,
+  retainScript,
+  subscribeScript,
+} from '../scriptRegistry';
+
+let srcId = 0;
+
+const getUniqueSrc = () => {
+  srcId += 1;
+
+  return `https://example.com/script-${srcId}.js`;
+};
+
+const getScriptTags = (src) =>
+  Array.from(document.getElementsByTagName('script')).filter((script) => script.src === src);
+
+// Waits for the timers scheduled by the settled promises, e.g. the retry after a 0ms backoff.
+const flushTimers = () =>
+  new Promise((resolve) => setTimeout(resolve, 0)).then(
+    () => new Promise((resolve) => setTimeout(resolve, 0))
+  );
+
+afterEach(() => {
+  document.head.innerHTML = '';
+  document.body.innerHTML = '';
+});
+
+describe('requestScript', () => {
+  it('shares a single tag and load between concurrent subscribers', async () => {
+    const src = getUniqueSrc();
+    const firstEntry = requestScript({ src });
+    const secondEntry = requestScript({ src });
+    const firstListener = jest.fn();
+    const secondListener = jest.fn();
+
+    subscribeScript(firstEntry, firstListener);
+    subscribeScript(secondEntry, secondListener);
+
+    expect(secondEntry).toBe(firstEntry);
+    expect(getScriptTags(src)).toHaveLength(1);
+    expect(firstEntry.status).toBe(SCRIPT_STATUS.LOADING);
+
+    getScriptTags(src)[0].dispatchEvent(new Event('load'));
+    await firstEntry.promise;
+
+    expect(firstEntry.status).toBe(SCRIPT_STATUS.READY);
+    [firstListener, secondListener].forEach((listener) =>
+      expect(listener).toHaveBeenLastCalledWith(
+        expect.objectContaining({ status: SCRIPT_STATUS.READY, ready: true })
+      )
+    );
+  });
+
+  it('reports the failure to every subscriber', async () => {
+    const src = getUniqueSrc();
+    const entry = requestScript({ src });
+    const listener = jest.fn();
+
+    subscribeScript(entry, listener);
+    getScriptTags(src)[0].dispatchEvent(new Event('error'));
+
+    await expect(entry.promise).rejects.toBeDefined();
+    expect(entry.status).toBe(SCRIPT_STATUS.ERROR);
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: SCRIPT_STATUS.ERROR, ready: false })
+    );
+  });
+
+  it('requests a failed script again', async () => {
+    const src = getUniqueSrc();
+    const failedEntry = requestScript({ src });
+
+    getScriptTags(src)[0].dispatchEvent(new Event('error'));
+    await failedEntry.promise.catch(() => {});
+
+    const entry = requestScript({ src });
+
+    expect(entry).not.toBe(failedEntry);
+    expect(getScriptTags(src)).toHaveLength(1);
+  });
+
+  it('retries with a fresh tag, removing the failed one', async () => {
+    const src = getUniqueSrc();
+    const entry = requestScript({ src, retries: 1, backoff: 0 });
+    const failedScript = getScriptTags(src)[0];
+
+    failedScript.dispatchEvent(new Event('error'));
+    await flushTimers();
+
+    const [retriedScript] = getScriptTags(src);
+
+    expect(failedScript.isConnected).toBe(false);
+    expect(retriedScript).not.toBe(failedScript);
+    expect(getScriptTags(src)).toHaveLength(1);
+    expect(entry.attempt).toBe(2);
+
+    retriedScript.dispatchEvent(new Event('load'));
+    await entry.promise;
+
+    expect(entry.status).toBe(SCRIPT_STATUS.READY);
+  });
+
+  it('fails once the retries are over', async () => {
+    const src = getUniqueSrc();
+    const entry = requestScript({ src, retries: 1, backoff: 0 });
+
+    getScriptTags(src)[0].dispatchEvent(new Event('error'));
+    await flushTimers();
+    getScriptTags(src)[0].dispatchEvent(new Event('error'));
+
+    await expect(entry.promise).rejects.toBeDefined();
+    expect(entry.attempt).toBe(2);
+    expect(getScriptTags(src)).toHaveLength(0);
+  });
+
+  it('fails an attempt that times out', async () => {
+    const src = getUniqueSrc();
+    const entry = requestScript({ src, timeout: 1 });
+
+    await expect(entry.promise).rejects.toThrow('timed out after 1ms');
+    expect(getScriptTags(src)).toHaveLength(0);
+  });
+
+  it('loads the same url with different attributes separately', () => {
+    const src = getUniqueSrc();
+
+    requestScript({ src, nonce: 'a' });
+    requestScript({ src, nonce: 'b' });
+
+    expect(getScriptTags(src).map((script) => script.getAttribute('nonce'))).toEqual(['a', 'b']);
+  });
+
+  it('is only ready once isReady passes', async () => {
+    const src = getUniqueSrc();
+    let ready = false;
+    const entry = requestScript({ src, isReady: () => ready, readyInterval: 1 });
+
+    getScriptTags(src)[0].dispatchEvent(new Event('load'));
+    await flushTimers();
+
+    expect(entry.status).toBe(SCRIPT_STATUS.LOADING);
+
+    ready = true;
+    await entry.promise;
+
+    expect(entry.status).toBe(SCRIPT_STATUS.READY);
+  });
+
+  it('adopts an existing tag whose isReady passes', async () => {
+    const src = getUniqueSrc();
+    const existingScript = document.createElement('script');
+
+    existingScript.src = src;
+    document.body.appendChild(existingScript);
+
+    const entry = requestScript({ src, isReady: () => true });
+
+    await expect(entry.promise).resolves.toBe(existingScript);
+    expect(getScriptTags(src)).toEqual([existingScript]);
+  });
+
+  describe('adopting an existing tag without isReady', () => {
+    let timingEntries;
+
+    const appendExistingScript = (src) => {
+      const existingScript = document.createElement('script');
+
+      existingScript.src = src;
+      document.body.appendChild(existingScript);
+
+      return existingScript;
+    };
+
+    beforeEach(() => {
+      timingEntries = [];
+      window.performance.getEntriesByName = (name) =>
+        timingEntries.filter((timingEntry) => timingEntry.name === name);
+    });
+
+    afterEach(() => {
+      delete window.performance.getEntriesByName;
+    });
+
+    it('waits for its load while it is still loading', async () => {
+      const src = getUniqueSrc();
+      const existingScript = appendExistingScript(src);
+      const entry = requestScript({ src });
+
+      expect(getScriptTags(src)).toEqual([existingScript]);
+
+      existingScript.dispatchEvent(new Event('load'));
+
+      await expect(entry.promise).resolves.toBe(existingScript);
+    });
+
+    it('is ready once it has loaded', async () => {
+      const src = getUniqueSrc();
+      const existingScript = appendExistingScript(src);
+
+      timingEntries.push({ name: src, responseStatus: 200 });
+
+      await expect(requestScript({ src }).promise).resolves.toBe(existingScript);
+      expect(getScriptTags(src)).toEqual([existingScript]);
+    });
+
+    it('fails, removing the tag, once its load has failed', async () => {
+      const src = getUniqueSrc();
+
+      appendExistingScript(src);
+      timingEntries.push({ name: src, responseStatus: 404 });
+
+      await expect(requestScript({ src }).promise).rejects.toThrow('could not be loaded');
+      expect(getScriptTags(src)).toHaveLength(0);
+    });
+
+    it('loads a fresh tag when its state is unknown', () => {
+      const src = getUniqueSrc();
+      const existingScript = appendExistingScript(src);
+
+      timingEntries.push({ name: src, responseStatus: 0 });
+      requestScript({ src });
+
+      expect(getScriptTags(src)).toHaveLength(2);
+      expect(getScriptTags(src)[0]).toBe(existingScript);
+    });
+  });
+});
+
+describe('releaseScript', () => {
+  it('removes the script and its globals once its last user releases it', async () => {
+    const src = getUniqueSrc();
+    const entry = requestScript({ src });
+    const options = { remove: true, cleanupGlobals: ['scriptRegistryTestGlobal'] };
+
+    window.scriptRegistryTestGlobal = {};
+    retainScript(entry);
+    retainScript(entry);
+
+    releaseScript(entry, options);
+
+    expect(getScriptTags(src)).toHaveLength(1);
+
+    releaseScript(entry, options);
+
+    expect(getScriptTags(src)).toHaveLength(0);
+    expect(window.scriptRegistryTestGlobal).toBeUndefined();
+    await expect(entry.promise).rejects.toThrow('was removed before it loaded');
+    expect(requestScript({ src })).not.toBe(entry);
+  });
+
+  it('keeps the script when remove is not set', () => {
+    const src = getUniqueSrc();
+    const entry = requestScript({ src });
+
+    retainScript(entry);
+    releaseScript(entry);
+
+    expect(getScriptTags(src)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,157 @@
+import {
+  MAX_CACHE_TTL,
+  createMemoryCacheAdapter,
+  createServiceCache,
+  createSessionStorageCacheAdapter,
+  getCacheKey,
+} from '../serviceCache';
+
+describe('getCacheKey', () => {
+  it('ignores the order of the request properties and empty values', () => {
+    expect(getCacheKey('Geocoder', { address: 'Rua A', region: 'br', bounds: null })).toBe(
+      getCacheKey('Geocoder', { region: 'br', address: 'Rua A' })
+    );
+  });
+
+  it('normalizes the whitespace and case of addresses', () => {
+    expect(getCacheKey('Geocoder', { address: '  Rua   A ' })).toBe(
+      getCacheKey('Geocoder', { address: 'rua a' })
+    );
+  });
+
+  it('keeps the case of other values', () => {
+    expect(getCacheKey('Geocoder', { address: 'a', region: 'BR' })).not.toBe(
+      getCacheKey('Geocoder', { address: 'a', region: 'br' })
+    );
+  });
+
+  it('differs between services', () => {
+    expect(getCacheKey('Geocoder', { origin: 'a' })).not.toBe(
+      getCacheKey('DirectionsService', { origin: 'a' })
+    );
+  });
+
+  it('uses toJSON, e.g. of LatLngs', () => {
+    const location = { toJSON: () => ({ lat: 1, lng: 2 }) };
+
+    expect(getCacheKey('Geocoder', { location })).toBe(
+      getCacheKey('Geocoder', { location: { lng: 2, lat: 1 } })
+    );
+  });
+});
+
+describe('createServiceCache', () => {
+  it('loads a result once and then gets it from the cache', async () => {
+    const cache = createServiceCache();
+    const load = jest.fn().mockResolvedValue('result');
+
+    await expect(cache.resolve('Geocoder', { address: 'a' }, load)).resolves.toBe('result');
+    await expect(cache.resolve('Geocoder', { address: 'A' }, load)).resolves.toBe('result');
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  it('shares identical requests in flight', async () => {
+    const cache = createServiceCache();
+    const load = jest.fn().mockResolvedValue('result');
+
+    await Promise.all([
+      cache.resolve('Geocoder', { address: 'a' }, load),
+      cache.resolve('Geocoder', { address: 'a' }, load),
+    ]);
+
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache errors or empty results', async () => {
+    const cache = createServiceCache();
+    const error = new Error('failed');
+    const load = jest
+      .fn()
+      .mockRejectedValueOnce(error)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce('result');
+
+    await expect(cache.resolve('Geocoder', { address: 'a' }, load)).rejects.toBe(error);
+    await expect(cache.resolve('Geocoder', { address: 'a' }, load)).resolves.toBe(null);
+    await expect(cache.resolve('Geocoder', { address: 'a' }, load)).resolves.toBe('result');
+    expect(load).toHaveBeenCalledTimes(3);
+  });
+
+  it('loads the result again once it expires', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    try {
+      const cache = createServiceCache({ ttl: 1000 });
+      const load = jest.fn().mockResolvedValue('result');
+
+      await cache.resolve('Geocoder', { address: 'a' }, load);
+      now.mockReturnValue(1000);
+      await cache.resolve('Geocoder', { address: 'a' }, load);
+
+      expect(load).toHaveBeenCalledTimes(2);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('limits the ttl to MAX_CACHE_TTL', async () => {
+    const adapter = createMemoryCacheAdapter();
+    const set = jest.spyOn(adapter, 'set');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    try {
+      const cache = createServiceCache({ adapter, ttl: Infinity });
+
+      await cache.resolve('Geocoder', { address: 'a' }, () => Promise.resolve('result'));
+
+      expect(set).toHaveBeenCalledWith(expect.any(String), {
+        value: 'result',
+        expiresAt: MAX_CACHE_TTL,
+      });
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('loads the result when the adapter fails', async () => {
+    const adapter = { ...createMemoryCacheAdapter(), get: () => Promise.reject(new Error()) };
+    const cache = createServiceCache({ adapter });
+
+    await expect(
+      cache.resolve('Geocoder', { address: 'a' }, () => Promise.resolve('result'))
+    ).resolves.toBe('result');
+  });
+
+  it('requires persistent adapters to be opted in', () => {
+    const adapter = createSessionStorageCacheAdapter();
+
+    expect(() => createServiceCache({ adapter })).toThrow('persistFullResults');
+    expect(() => createServiceCache({ adapter, persistFullResults: true })).not.toThrow();
+  });
+
+  it('clears the cached results', async () => {
+    const cache = createServiceCache();
+    const load = jest.fn().mockResolvedValue('result');
+
+    await cache.resolve('Geocoder', { address: 'a' }, load);
+    await cache.clear();
+    await cache.resolve('Geocoder', { address: 'a' }, load);
+
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('createMemoryCacheAdapter', () => {
+  it('evicts the least recently used entries', async () => {
+    const adapter = createMemoryCacheAdapter({ maxEntries: 2 });
+
+    await adapter.set('a', 1);
+    await adapter.set('b', 2);
+    await adapter.get('a');
+    await adapter.set('c', 3);
+
+    await expect(adapter.get('a')).resolves.toBe(1);
+    await expect(adapter.get('b')).resolves.toBeUndefined();
+    await expect(adapter.get('c')).resolves.toBe(3);
+  });
+});
@@ -0,0 +1,84 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { act } from 'react-dom/test-utils';
+
+import useGoogleMapsActions from '../useGoogleMapsActions';
+import { createRequestScheduler } from '../requestScheduler';
+
+let geocodeCallbacks;
+let container;
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const renderActions = (options) => {
+  let actions;
+
+  const Actions = () => {
+    actions = useGoogleMapsActions({ scheduler: createRequestScheduler(), ...options });
+
+    return null;
+  };
+
+  act(() => {
+    ReactDOM.render(<Actions />, container);
+  });
+
+  return actions;
+};
+
+beforeEach(() => {
+  geocodeCallbacks = [];
+  window.google = {
+    maps: {
+      Geocoder: function Geocoder() {
+        this.geocode = (request, callback) =>
+          geocodeCallbacks.push(() => callback([request.address], 'OK'));
+      },
+    },
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.google;
+});
+
+describe('useGoogleMapsActions', () => {
+  it('rejects the pending actions with an AbortError on unmount', async () => {
+    const actions = renderActions();
+    const geocoding = actions.getResultsFromGeocoderService({ address: 'a' });
+
+    await flushPromises();
+
+    act(() => {
+      ReactDOM.unmountComponentAtNode(container);
+    });
+    geocodeCallbacks.forEach((callback) => callback());
+
+    await expect(geocoding).rejects.toHaveProperty('name', 'AbortError');
+  });
+
+  it('rejects the stale calls with an AbortError with latestOnly', async () => {
+    const actions = renderActions({ latestOnly: true });
+    const staleGeocoding = actions.getResultsFromGeocoderService({ address: 'a' });
+    const latestGeocoding = actions.getResultsFromGeocoderService({ address: 'b' });
+
+    await expect(staleGeocoding).rejects.toHaveProperty('name', 'AbortError');
+
+    await flushPromises();
+    geocodeCallbacks.forEach((callback) => callback());
+
+    await expect(latestGeocoding).resolves.toEqual(['b']);
+  });
+
+  it("rejects with an AbortError once the caller's signal is aborted", async () => {
+    const actions = renderActions();
+    const controller = new AbortController();
+    const geocoding = actions.geocodeMany([{ address: 'a' }], { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(geocoding).rejects.toHaveProperty('name', 'AbortError');
+  });
+});
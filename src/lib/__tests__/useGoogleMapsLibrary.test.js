@@ -0,0 +1,100 @@
+let React;
+let ReactDOM;
+let act;
+let useGoogleMapsLibrary;
+let useGoogleMapsScript;
+let CALLBACK_NAME;
+let container;
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  // Every test gets its own loader, library imports and globals.
+  jest.resetModules();
+  React = require('react');
+  ReactDOM = require('react-dom');
+  ({ act } = require('react-dom/test-utils'));
+  useGoogleMapsLibrary = require('../useGoogleMapsLibrary').default;
+  useGoogleMapsScript = require('../useGoogleMapsScript').default;
+  ({ CALLBACK_NAME } = require('../googleMapsBootstrap'));
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  document.head.innerHTML = '';
+  document.body.innerHTML = '';
+  delete window.google;
+  delete window[CALLBACK_NAME];
+  delete window.gm_authFailure;
+});
+
+const renderLibraryStates = (wrap = (element) => element) => {
+  const states = [];
+
+  const Places = () => {
+    states.push(useGoogleMapsLibrary('places'));
+
+    return null;
+  };
+
+  act(() => {
+    ReactDOM.render(wrap(<Places />), container);
+  });
+
+  return states;
+};
+
+describe('useGoogleMapsLibrary', () => {
+  it('fails when nothing is loading the API', async () => {
+    const states = renderLibraryStates();
+
+    await act(flushPromises);
+    await act(flushPromises);
+
+    const lastState = states[states.length - 1];
+
+    expect(lastState.status).toBe('error');
+    expect(lastState.error.message).toMatch("Google Maps' API is not being loaded");
+  });
+
+  it('waits for the API loaded by a parent useGoogleMapsScript', async () => {
+    const Loader = ({ children }) => {
+      useGoogleMapsScript({ key: 'k' });
+
+      return children;
+    };
+    const states = renderLibraryStates((element) => <Loader>{element}</Loader>);
+
+    await act(flushPromises);
+    await act(flushPromises);
+
+    expect(states[states.length - 1].status).toBe('loading');
+
+    const places = {};
+
+    window.google = { maps: { importLibrary: () => Promise.resolve(places) } };
+
+    await act(async () => {
+      window[CALLBACK_NAME]();
+      await flushPromises();
+    });
+
+    const lastState = states[states.length - 1];
+
+    expect(lastState.status).toBe('ready');
+    expect(lastState.library).toBe(places);
+  });
+
+  it("uses Google's dynamic library bootstrap when it is installed", async () => {
+    const places = {};
+
+    window.google = { maps: { importLibrary: () => Promise.resolve(places) } };
+
+    const states = renderLibraryStates();
+
+    await act(flushPromises);
+
+    expect(states[states.length - 1].library).toBe(places);
+  });
+});
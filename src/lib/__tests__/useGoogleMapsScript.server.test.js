@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+
+import GoogleMapsProvider from '../GoogleMapsProvider';
+import { ResourceCollectorProvider, createResourceCollector } from '../resourceCollector';
+import useGoogleMapsScript from '../useGoogleMapsScript';
+
+const GoogleMapsScript = ({ options }) => {
+  useGoogleMapsScript(options);
+
+  return null;
+};
+
+const renderTags = (children) => {
+  const collector = createResourceCollector();
+
+  renderToString(
+    <ResourceCollectorProvider collector={collector}>
+      <GoogleMapsProvider options={{ key: 'k' }}>{children}</GoogleMapsProvider>
+    </ResourceCollectorProvider>
+  );
+
+  return collector.getTags();
+};
+
+const getScriptTags = (tags) => tags.match(/<script[^>]*>/g) || [];
+
+describe('useGoogleMapsScript on the server', () => {
+  it('collects a single tag with the libraries of every call', () => {
+    const [tag, ...otherTags] = getScriptTags(
+      renderTags(
+        <>
+          <GoogleMapsScript options={{ key: 'k', libraries: ['places'] }} />
+          <GoogleMapsScript options={{ key: 'k', libraries: ['geometry', 'places'] }} />
+        </>
+      )
+    );
+
+    expect(otherTags).toHaveLength(0);
+    expect(tag).toContain('libraries=geometry%2Cplaces');
+    expect(tag).toContain('data-google-maps-loader');
+  });
+
+  it('does not depend on the bootstrap callback, which is only registered on the client', () => {
+    const [tag] = getScriptTags(renderTags(null));
+
+    expect(tag).toContain('callback=Function.prototype');
+  });
+
+  it('does not collect the tags of conflicting calls', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const tags = getScriptTags(
+        renderTags(<GoogleMapsScript options={{ key: 'k', language: 'pt-BR' }} />)
+      );
+
+      expect(tags).toHaveLength(1);
+      expect(tags[0]).not.toContain('language');
+      expect(warn).toHaveBeenCalledTimes(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('collects the loader of each server render separately', () => {
+    renderTags(<GoogleMapsScript options={{ key: 'k', libraries: ['places'] }} />);
+
+    expect(getScriptTags(renderTags(null))[0]).not.toContain('libraries');
+  });
+});
@@ -0,0 +1,247 @@
+let React;
+let ReactDOM;
+let act;
+let useGoogleMapsScript;
+let CALLBACK_NAME;
+let container;
+
+const getMapsScripts = () =>
+  Array.from(document.getElementsByTagName('script')).filter((script) =>
+    script.getAttribute('src').startsWith('https://maps.googleapis.com/')
+  );
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  // Every test gets its own loader, registry and globals.
+  jest.resetModules();
+  React = require('react');
+  ReactDOM = require('react-dom');
+  ({ act } = require('react-dom/test-utils'));
+  useGoogleMapsScript = require('../useGoogleMapsScript').default;
+  ({ CALLBACK_NAME } = require('../googleMapsBootstrap'));
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  document.head.innerHTML = '';
+  document.body.innerHTML = '';
+  delete window.google;
+  delete window[CALLBACK_NAME];
+  delete window.gm_authFailure;
+});
+
+const renderStates = (options) => {
+  const states = [];
+
+  const GoogleMapsScript = () => {
+    states.push(useGoogleMapsScript(options).status);
+
+    return null;
+  };
+
+  return {
+    states,
+    Component: GoogleMapsScript,
+    render: (wrap = (element) => element) =>
+      act(() => {
+        ReactDOM.render(wrap(<GoogleMapsScript />), container);
+      }),
+  };
+};
+
+describe('useGoogleMapsScript', () => {
+  it('suspends from the first render in suspense mode', async () => {
+    const { states, render } = renderStates({ key: 'k', suspense: true });
+
+    render((element) => <React.Suspense fallback="loading">{element}</React.Suspense>);
+
+    expect(states).toEqual([]);
+    expect(container.textContent).toBe('loading');
+    expect(getMapsScripts()).toHaveLength(1);
+
+    window.google = { maps: { Map() {} } };
+    window[CALLBACK_NAME]();
+
+    await act(async () => {
+      getMapsScripts()[0].dispatchEvent(new Event('load'));
+      await flushPromises();
+    });
+
+    // React's scheduler may take a few frames to retry the suspended render.
+    for (let frame = 0; frame < 20 && states.length === 0; frame += 1) {
+      await act(() => new Promise((resolve) => setTimeout(resolve, 20)));
+    }
+
+    expect(states.length).toBeGreaterThan(0);
+    expect(states.every((status) => status === 'ready')).toBe(true);
+  });
+
+  it('suspends on the import of the libraries missing from the first call', async () => {
+    const importLibrary = jest.fn(() => Promise.resolve({}));
+    const first = renderStates({ key: 'k' });
+
+    first.render();
+    window.google = { maps: { Map() {}, importLibrary } };
+    window[CALLBACK_NAME]();
+
+    await act(async () => {
+      getMapsScripts()[0].dispatchEvent(new Event('load'));
+      await flushPromises();
+    });
+
+    const second = renderStates({ key: 'k', libraries: ['marker'], suspense: true });
+    const secondContainer = document.createElement('div');
+
+    await act(async () => {
+      ReactDOM.render(
+        <React.Suspense fallback="loading">
+          <second.Component />
+        </React.Suspense>,
+        secondContainer
+      );
+      expect(secondContainer.textContent).toBe('loading');
+      await flushPromises();
+    });
+
+    expect(importLibrary).toHaveBeenCalledWith('marker');
+    expect(getMapsScripts()).toHaveLength(1);
+    expect(second.states.every((status) => status === 'ready')).toBe(true);
+
+    ReactDOM.unmountComponentAtNode(secondContainer);
+  });
+
+  it('throws conflicting options to the error boundary in suspense mode', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const errors = [];
+
+    class ErrorBoundary extends React.Component {
+      componentDidCatch(error) {
+        errors.push(error);
+      }
+
+      static getDerivedStateFromError() {
+        return { failed: true };
+      }
+
+      render() {
+        return this.state && this.state.failed ? null : this.props.children;
+      }
+    }
+
+    try {
+      renderStates({ key: 'k' }).render();
+
+      const conflicting = renderStates({ key: 'k', language: 'pt-BR', suspense: true });
+
+      act(() => {
+        ReactDOM.render(
+          <ErrorBoundary>
+            <conflicting.Component />
+          </ErrorBoundary>,
+          document.createElement('div')
+        );
+      });
+
+      expect(conflicting.states).toEqual([]);
+      expect(errors[0].message).toContain('language');
+    } finally {
+      warn.mockRestore();
+      consoleError.mockRestore();
+    }
+  });
+
+  it('throws authentication failures to the error boundary in suspense mode', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const first = renderStates({ key: 'k' });
+
+    try {
+      first.render();
+      window.google = { maps: { Map() {} } };
+      window[CALLBACK_NAME]();
+
+      await act(async () => {
+        getMapsScripts()[0].dispatchEvent(new Event('load'));
+        await flushPromises();
+        window.gm_authFailure();
+      });
+
+      const suspended = renderStates({ key: 'k', suspense: true });
+
+      expect(first.states[first.states.length - 1]).toBe('authError');
+      expect(() =>
+        act(() => {
+          ReactDOM.render(<suspended.Component />, document.createElement('div'));
+        })
+      ).toThrow('could not authenticate');
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  it("warns conflicting options with both components' call sites", () => {
+    const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const FirstMap = () => {
+      useGoogleMapsScript({ key: 'k', language: 'en' });
+
+      return null;
+    };
+    const SecondMap = () => {
+      useGoogleMapsScript({ key: 'k', language: 'pt-BR' });
+
+      return null;
+    };
+
+    try {
+      act(() => {
+        ReactDOM.render(
+          <>
+            <FirstMap />
+            <SecondMap />
+          </>,
+          container
+        );
+      });
+
+      expect(consoleWarn).toHaveBeenCalledTimes(1);
+
+      const [, { first, conflicting }] = consoleWarn.mock.calls[0];
+
+      // Both are captured while the components render, and not from an effect.
+      [first, conflicting].forEach(({ callSite }) => {
+        expect(callSite).toMatch('renderWithHooks');
+        expect(callSite).not.toMatch('commitPassiveHookEffects');
+      });
+      expect(first.callSite.split('\n')[2]).not.toBe(conflicting.callSite.split('\n')[2]);
+    } finally {
+      consoleWarn.mockRestore();
+    }
+  });
+
+  it('adopts the tag collected on the server', async () => {
+    const collectedScript = document.createElement('script');
+
+    collectedScript.setAttribute(
+      'src',
+      'https://maps.googleapis.com/maps/api/js?key=k&v=quarterly&libraries=places&callback=Function.prototype'
+    );
+    collectedScript.setAttribute('data-google-maps-loader', '');
+    document.head.appendChild(collectedScript);
+
+    const { states, render } = renderStates({ key: 'k', libraries: ['places'] });
+
+    render();
+
+    expect(getMapsScripts()).toEqual([collectedScript]);
+
+    await act(async () => {
+      window.google = { maps: { Map() {} } };
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    });
+
+    expect(states[states.length - 1]).toBe('ready');
+  });
+});
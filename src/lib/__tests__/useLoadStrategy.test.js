@@ -0,0 +1,93 @@
+import React, { useRef } from 'react';
+import ReactDOM from 'react-dom';
+import { act } from 'react-dom/test-utils';
+
+import useLoadStrategy, { LOAD_STRATEGY } from '../useLoadStrategy';
+
+let container;
+let observers;
+let warn;
+
+class IntersectionObserverMock {
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = [];
+    observers.push(this);
+  }
+
+  observe(target) {
+    this.targets.push(target);
+  }
+
+  disconnect() {
+    this.targets = [];
+  }
+}
+
+const renderStrategy = ({ withTargetRef = true, attachTarget = true } = {}) => {
+  const result = {};
+
+  const Component = () => {
+    const targetRef = useRef(null);
+
+    result.current = useLoadStrategy(LOAD_STRATEGY.VISIBLE, withTargetRef ? targetRef : undefined);
+
+    return attachTarget ? <div ref={targetRef} /> : null;
+  };
+
+  act(() => {
+    ReactDOM.render(<Component />, container);
+  });
+
+  return result;
+};
+
+beforeEach(() => {
+  container = document.createElement('div');
+  observers = [];
+  window.IntersectionObserver = IntersectionObserverMock;
+  warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.IntersectionObserver;
+  warn.mockRestore();
+});
+
+describe("useLoadStrategy's visible strategy", () => {
+  it('triggers once the target is visible', () => {
+    const result = renderStrategy();
+
+    expect(result.current.triggered).toBe(false);
+    expect(observers).toHaveLength(1);
+
+    act(() => {
+      observers[0].callback([{ isIntersecting: true }]);
+    });
+
+    expect(result.current.triggered).toBe(true);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('waits for the target to be attached, warning in development', () => {
+    const result = renderStrategy({ attachTarget: false });
+
+    expect(result.current.triggered).toBe(false);
+    expect(observers).toHaveLength(0);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('until its targetRef is attached'));
+  });
+
+  it('triggers immediately without targetRef, warning in development', () => {
+    const result = renderStrategy({ withTargetRef: false });
+
+    expect(result.current.triggered).toBe(true);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('requires targetRef'));
+  });
+
+  it('triggers immediately without IntersectionObserver', () => {
+    delete window.IntersectionObserver;
+
+    expect(renderStrategy().current.triggered).toBe(true);
+  });
+});
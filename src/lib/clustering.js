@@ -0,0 +1,95 @@
+/**
+ * Size, in pixels, of Google Maps' tiles at zoom 0.
+ */
+const TILE_SIZE = 256;
+
+/**
+ * Converts a position to a LatLngLiteral.
+ * @param {(window.google.maps.LatLng|window.google.maps.LatLngLiteral)} position The position.
+ * @returns {window.google.maps.LatLngLiteral} The position literal.
+ */
+export const toLatLngLiteral = (position) =>
+  typeof position.lat === 'function' ? { lat: position.lat(), lng: position.lng() } : position;
+
+/**
+ * Projects a position to world pixel coordinates, using the Web Mercator projection of Google
+ * Maps.
+ * @param {window.google.maps.LatLngLiteral} position The position.
+ * @param {Number} zoom Zoom level.
+ * @returns {Object} The x and y pixel coordinates.
+ */
+const project = ({ lat, lng }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sinLat = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+
+  return {
+    x: scale * (0.5 + lng / 360),
+    y: scale * (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)),
+  };
+};
+
+/**
+ * Creates a cluster from the items of a grid cell.
+ * @param {Array.<Object>} cellItems Items and their position literals.
+ * @returns {Object} The cluster, with its average position, count, items and bounds.
+ */
+const createCluster = (cellItems) => {
+  const latitudes = cellItems.map(({ position }) => position.lat);
+  const longitudes = cellItems.map(({ position }) => position.lng);
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  return {
+    position: { lat: sum(latitudes) / cellItems.length, lng: sum(longitudes) / cellItems.length },
+    count: cellItems.length,
+    items: cellItems.map(({ item }) => item),
+    bounds: {
+      north: Math.max(...latitudes),
+      south: Math.min(...latitudes),
+      east: Math.max(...longitudes),
+      west: Math.min(...longitudes),
+    },
+  };
+};
+
+/**
+ * Groups items whose positions fall in the same cell of a pixel grid at the given zoom. Cells
+ * with fewer items than minClusterSize, or any cell above maxZoom, give one cluster per item.
+ * @param {Array.<*>} items Items to be clustered.
+ * @param {Object} options Object with the configurations;
+ * @param {Number} options.zoom Map's zoom level;
+ * @param {Function} options.getPosition Gets the item's LatLng or LatLngLiteral;
+ * @param {Number} [options.gridSize] Size, in pixels, of the grid cells. Defaults to 60;
+ * @param {Number} [options.minClusterSize] Minimum number of items of a cluster. Defaults to 2;
+ * @param {Number} [options.maxZoom] Zoom level above which items are not clustered;
+ * @returns {Array.<Object>} The clusters, each with its position, count, items and bounds.
+ */
+export const clusterPoints = (
+  items,
+  { zoom, getPosition, gridSize = 60, minClusterSize = 2, maxZoom = Infinity }
+) => {
+  const cells = new Map();
+
+  items.forEach((item, index) => {
+    const position = toLatLngLiteral(getPosition(item));
+    const { x, y } = project(position, zoom);
+    const cellKey =
+      zoom > maxZoom ? index : `${Math.floor(x / gridSize)}:${Math.floor(y / gridSize)}`;
+    const cellItems = cells.get(cellKey);
+
+    if (cellItems) cellItems.push({ item, position });
+    else cells.set(cellKey, [{ item, position }]);
+  });
+
+  const clusters = [];
+
+  cells.forEach((cellItems) => {
+    if (cellItems.length >= minClusterSize) {
+      clusters.push(createCluster(cellItems));
+      return;
+    }
+
+    cellItems.forEach((cellItem) => clusters.push(createCluster([cellItem])));
+  });
+
+  return clusters;
+};
@@ -0,0 +1,31 @@
+/**
+ * Error of a Google Maps' service request, e.g. Geocoder or DirectionsService, which did not
+ * respond with the OK status.
+ */
+export class GoogleMapsServiceError extends Error {
+  /**
+   * @param {String} status Status of the response (e.g. ZERO_RESULTS or OVER_QUERY_LIMIT).
+   * @param {String} service Name of the service (e.g. Geocoder or DirectionsService).
+   * @param {Object} request The original request.
+   */
+  constructor(status, service, request) {
+    super(`Google Maps' ${service} responded with the status ${status}.`);
+
+    this.name = 'GoogleMapsServiceError';
+    this.status = status;
+    this.service = service;
+    this.request = request;
+  }
+}
+
+/**
+ * Creates the error of an aborted request, named AbortError like the ones of fetch.
+ * @returns {Error} The error.
+ */
+export const createAbortError = () => {
+  const error = new Error('The request was aborted.');
+
+  error.name = 'AbortError';
+
+  return error;
+};
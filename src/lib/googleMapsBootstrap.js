@@ -0,0 +1,243 @@
+import { SCRIPT_STATUS } from './scriptRegistry';
+import { canUseDOM } from './utils';
+
+/**
+ * Name of the global function called by Google Maps' API once it is bootstrapped.
+ */
+export const CALLBACK_NAME = '__spliceReactHooksGoogleMapsCallback';
+
+let callbackCalled = false;
+let loaderRequested = false;
+let authFailure = null;
+const authFailureListeners = new Set();
+
+/**
+ * Module-level cache with one entry, and one import promise, per library name.
+ */
+const libraries = new Map();
+
+/**
+ * Creates a promise along with the functions that settle it.
+ * @returns {Object} The promise, resolve and reject.
+ */
+const createDeferred = () => {
+  const deferred = {};
+
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+
+  // Waiters handle the failure through their own promises.
+  deferred.promise.catch(() => {});
+
+  return deferred;
+};
+
+let bootstrap = createDeferred();
+let bootstrapError = null;
+
+/**
+ * Checks if Google's dynamic library bootstrap, which defines google.maps.importLibrary before
+ * any library is loaded, is installed.
+ * @returns {Boolean} True when google.maps.importLibrary can be called.
+ */
+const hasImportLibrary = () =>
+  Boolean(window.google && window.google.maps && window.google.maps.importLibrary);
+
+/**
+ * Registers the global bootstrap callback and gm_authFailure, keeping any gm_authFailure defined
+ * before. If the API was already loaded by other means, it is considered bootstrapped. Must only
+ * be called from effects or event handlers, never during render.
+ * @returns {void}
+ */
+export const registerGoogleMapsGlobals = () => {
+  if (!canUseDOM || window[CALLBACK_NAME]) return;
+
+  callbackCalled = Boolean(window.google && window.google.maps && window.google.maps.Map);
+
+  if (callbackCalled) bootstrap.resolve();
+
+  window[CALLBACK_NAME] = () => {
+    callbackCalled = true;
+    bootstrap.resolve();
+  };
+
+  const previousAuthFailure = window.gm_authFailure;
+
+  window.gm_authFailure = () => {
+    authFailure = new Error('Google Maps could not authenticate the API key or client ID.');
+    authFailureListeners.forEach((listener) => listener(authFailure));
+
+    if (typeof previousAuthFailure === 'function') previousAuthFailure();
+  };
+};
+
+/**
+ * Checks if Google Maps' API called the bootstrap callback.
+ * @returns {Boolean} True when the API is ready to be used.
+ */
+export const isGoogleMapsBootstrapped = () => callbackCalled;
+
+/**
+ * Checks if a script tag loaded without the bootstrap callback, e.g. one collected on the server,
+ * has loaded Google Maps' API, in which case it is considered bootstrapped.
+ * @returns {Boolean} True when the API is ready to be used.
+ */
+export const isGoogleMapsLoaded = () => {
+  if (!callbackCalled && window.google && window.google.maps && window.google.maps.Map) {
+    callbackCalled = true;
+    bootstrap.resolve();
+  }
+
+  return callbackCalled;
+};
+
+/**
+ * Gets the authentication failure reported by Google Maps, if any.
+ * @returns {(Error|null)} The authentication error.
+ */
+export const getAuthFailure = () => authFailure;
+
+/**
+ * Listens to authentication failures reported by Google Maps.
+ * @param {Function} listener Called with the authentication error.
+ * @returns {Function} Removes the listener.
+ */
+export const subscribeAuthFailure = (listener) => {
+  authFailureListeners.add(listener);
+
+  return () => {
+    authFailureListeners.delete(listener);
+  };
+};
+
+/**
+ * Rejects everything waiting for Google Maps' API, once its script fails to load. Later waits
+ * wait for a new attempt, e.g. after a retry.
+ * @param {Error} error The load error.
+ * @returns {void}
+ */
+export const rejectGoogleMapsBootstrap = (error) => {
+  if (callbackCalled || error === bootstrapError) return;
+
+  bootstrapError = error;
+  bootstrap.reject(error || new Error("Google Maps' API could not be loaded."));
+  bootstrap = createDeferred();
+};
+
+/**
+ * Tells that useGoogleMapsScript is loading Google Maps' API, so waiting for it won't fail.
+ * @returns {void}
+ */
+export const markGoogleMapsRequested = () => {
+  loaderRequested = true;
+};
+
+/**
+ * Checks if anything is loading Google Maps' API: useGoogleMapsScript, a script tag already in
+ * the document, e.g. added by other means, or Google's dynamic library bootstrap.
+ * @returns {Boolean} True when the API is loading or loaded.
+ */
+const isGoogleMapsRequested = () =>
+  loaderRequested ||
+  hasImportLibrary() ||
+  isGoogleMapsLoaded() ||
+  Boolean(document.querySelector('script[src*="maps.googleapis.com/maps/api/js"]'));
+
+/**
+ * Waits for Google Maps' API to be bootstrapped, without loading it, either by the callback of
+ * useGoogleMapsScript or by Google's dynamic library bootstrap. It fails when nothing is loading
+ * the API, checked once the effects being run, e.g. of a parent's useGoogleMapsScript, are over.
+ * @promise {promise}
+ * @fulfill {void}
+ * @reject {Error}
+ * @returns {Promise.<void>} Resolves once the API can be used, and rejects if its script fails or
+ * was never requested.
+ */
+export const waitForGoogleMaps = () => {
+  registerGoogleMapsGlobals();
+
+  if (hasImportLibrary()) return Promise.resolve();
+
+  return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+    if (hasImportLibrary()) return undefined;
+
+    if (!isGoogleMapsRequested()) {
+      throw new Error(
+        "Google Maps' API is not being loaded. Load it with useGoogleMapsScript, e.g. through GoogleMapsProvider, or with Google's dynamic library bootstrap."
+      );
+    }
+
+    return bootstrap.promise;
+  });
+};
+
+/**
+ * Gets the entry of a library already requested.
+ * @param {String} name Library's name.
+ * @returns {(Object|undefined)} The library entry, if any.
+ */
+export const getGoogleMapsLibraryEntry = (name) => libraries.get(name);
+
+/**
+ * Imports a Google Maps' library through google.maps.importLibrary. Versions without it can only
+ * use the libraries included in the script url. Failed imports are removed from the cache, so
+ * they can be imported again.
+ * @param {String} name Library's name (e.g. places, geometry or marker).
+ * @returns {Object} The library entry, whose promise settles once the library is imported.
+ */
+export const importGoogleMapsLibrary = (name) => {
+  const cachedEntry = libraries.get(name);
+
+  if (cachedEntry) return cachedEntry;
+
+  const entry = {
+    status: SCRIPT_STATUS.LOADING,
+    library: null,
+    error: null,
+    startedAt: Date.now(),
+    settledAt: null,
+  };
+
+  entry.promise = waitForGoogleMaps()
+    .then(() => {
+      const { maps } = window.google;
+
+      if (typeof maps.importLibrary === 'function') return maps.importLibrary(name);
+
+      const library = name === 'core' || name === 'maps' ? maps : maps[name];
+
+      if (!library) {
+        throw new Error(
+          `The library '${name}' must be included in your Google maps script, since this version can't import it.`
+        );
+      }
+
+      return library;
+    })
+    .then(
+      (library) => {
+        entry.status = SCRIPT_STATUS.READY;
+        entry.library = library;
+        entry.settledAt = Date.now();
+
+        return library;
+      },
+      (error) => {
+        entry.status = SCRIPT_STATUS.ERROR;
+        entry.error = error;
+        entry.settledAt = Date.now();
+        libraries.delete(name);
+
+        throw error;
+      }
+    );
+
+  // Subscribers handle the failure through the entry state.
+  entry.promise.catch(() => {});
+
+  libraries.set(name, entry);
+
+  return entry;
+};
@@ -1,5 +1,63 @@
-import useExternalScript from './useExternalScript';
-import useGoogleMapsScript from './useGoogleMapsScript';
+import useExternalScript, { useExternalScriptReady, SCRIPT_STATUS } from './useExternalScript';
+import useExternalScripts from './useExternalScripts';
+import useExternalStylesheet from './useExternalStylesheet';
+import useExternalResources from './useExternalResources';
+import loadScript, { preloadScript } from './loadScript';
+import { LOAD_STRATEGY } from './useLoadStrategy';
+import { createResourceCollector, ResourceCollectorProvider } from './resourceCollector';
+import ScriptErrorBoundary from './ScriptErrorBoundary';
+import useGoogleMapsScript, {
+  useGoogleMapsScriptReady,
+  GOOGLE_MAPS_STATUS,
+} from './useGoogleMapsScript';
+import useGoogleMapsLibrary from './useGoogleMapsLibrary';
 import useGoogleMapsActions from './useGoogleMapsActions';
+import GoogleMapsProvider from './GoogleMapsProvider';
+import useGoogleMap from './useGoogleMap';
+import useMapInstance from './useMapInstance';
+import useMapEvent from './useMapEvent';
+import useMarkers from './useMarkers';
+import useMarkerClusterer from './useMarkerClusterer';
+import { GoogleMapsServiceError } from './errors';
+import { createRequestScheduler, configureRequestScheduler } from './requestScheduler';
+import {
+  createServiceCache,
+  createMemoryCacheAdapter,
+  createSessionStorageCacheAdapter,
+  createIndexedDBCacheAdapter,
+  MAX_CACHE_TTL,
+} from './serviceCache';
 
-export { useExternalScript, useGoogleMapsScript, useGoogleMapsActions };
+export {
+  useExternalScript,
+  useExternalScriptReady,
+  useExternalScripts,
+  useExternalStylesheet,
+  useExternalResources,
+  useGoogleMapsScript,
+  useGoogleMapsScriptReady,
+  useGoogleMapsLibrary,
+  useGoogleMapsActions,
+  useGoogleMap,
+  useMapInstance,
+  useMapEvent,
+  useMarkers,
+  useMarkerClusterer,
+  GoogleMapsProvider,
+  loadScript,
+  preloadScript,
+  createResourceCollector,
+  ResourceCollectorProvider,
+  ScriptErrorBoundary,
+  GoogleMapsServiceError,
+  createRequestScheduler,
+  configureRequestScheduler,
+  createServiceCache,
+  createMemoryCacheAdapter,
+  createSessionStorageCacheAdapter,
+  createIndexedDBCacheAdapter,
+  MAX_CACHE_TTL,
+  SCRIPT_STATUS,
+  LOAD_STRATEGY,
+  GOOGLE_MAPS_STATUS,
+};
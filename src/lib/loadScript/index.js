@@ -0,0 +1,72 @@
+import { isScriptRequested, requestScript, retainScript } from '../scriptRegistry';
+import { canUseDOM } from '../utils';
+
+/**
+ * Loads an external script outside of components, e.g. from event handlers or route loaders. It
+ * shares the registry of useExternalScript, so the same script is never loaded twice, and since
+ * it has no component to unmount, the script is never removed by removeOnUnmount.
+ * @param {Object} config Same configurations accepted by useExternalScript.
+ * @promise {promise}
+ * @fulfill {(HTMLScriptElement|null)}
+ * @reject {(ErrorEvent|Error)}
+ * @returns {Promise.<(HTMLScriptElement|null)>} The loaded script element, or null when it was
+ * already available through the isReady check. Rejects when called on the server.
+ */
+const loadScript = (config) => {
+  if (!config || !config.src) {
+    return Promise.reject(new Error('A script src must be provided.'));
+  }
+
+  if (!canUseDOM) {
+    return Promise.reject(new Error('Scripts can only be loaded in the browser.'));
+  }
+
+  const entry = requestScript(config);
+
+  retainScript(entry);
+
+  return entry.promise;
+};
+
+/**
+ * Hints the browser to fetch an external script, without executing it, by adding a
+ * <link rel="preload"> tag. Nothing is added if the script was already requested or preloaded.
+ * @param {String} src Script's url.
+ * @param {Object} [options] Object with the options;
+ * @param {String} [options.integrity] Subresource Integrity hash of the script;
+ * @param {String} [options.crossOrigin] CORS setting. Defaults to 'anonymous' when integrity is
+ * set. Must match the one used to load the script;
+ * @param {String} [options.nonce] Content Security Policy nonce;
+ * @param {String} [options.referrerPolicy] Referrer policy used to fetch the script;
+ * @returns {(HTMLLinkElement|null)} The preload link, or null when the script was already
+ * requested or when called on the server.
+ */
+export const preloadScript = (
+  src,
+  { integrity, crossOrigin = integrity ? 'anonymous' : undefined, nonce, referrerPolicy } = {}
+) => {
+  if (!canUseDOM || isScriptRequested(src)) return null;
+
+  const existingLink = Array.from(document.querySelectorAll('link[rel="preload"]')).find(
+    (link) => link.getAttribute('href') === src || link.href === src
+  );
+
+  if (existingLink) return existingLink;
+
+  const link = document.createElement('link');
+  const attributes = { integrity, crossorigin: crossOrigin, nonce, referrerpolicy: referrerPolicy };
+
+  link.rel = 'preload';
+  link.href = src;
+  link.setAttribute('as', 'script');
+
+  Object.keys(attributes).forEach((name) => {
+    if (attributes[name]) link.setAttribute(name, attributes[name]);
+  });
+
+  document.head.appendChild(link);
+
+  return link;
+};
+
+export default loadScript;
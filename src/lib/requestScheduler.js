@@ -0,0 +1,191 @@
+import { createAbortError } from './errors';
+
+/**
+ * Statuses of Google Maps' services which are retried by default.
+ */
+export const RATE_LIMIT_STATUSES = ['OVER_QUERY_LIMIT'];
+
+/**
+ * Creates a scheduler which runs requests with limited concurrency and rate, retrying the ones
+ * rejected with a rate-limit status after an exponential backoff with jitter.
+ * @param {Object} [options] Object with the configurations;
+ * @param {Number} [options.concurrency] Maximum number of running requests. Defaults to 4;
+ * @param {Number} [options.requestsPerSecond] Maximum number of requests started per second.
+ * Defaults to 10;
+ * @param {Number} [options.retries] How many times a rate-limited request is retried. Defaults to
+ * 3;
+ * @param {Number} [options.backoff] Delay, in ms, before the first retry, doubled on every retry
+ * and randomized by up to 50%. Defaults to 1000;
+ * @param {Array.<String>} [options.retryStatuses] Statuses of the errors which are retried.
+ * Defaults to OVER_QUERY_LIMIT;
+ * @returns {Object} The scheduler, with the schedule function, which runs a request and returns
+ * its promise, rejected with an AbortError if its signal is aborted before it settles, the
+ * configure function, which changes the options, and the pending getter.
+ */
+export const createRequestScheduler = (options) => {
+  let config = {
+    concurrency: 4,
+    requestsPerSecond: 10,
+    retries: 3,
+    backoff: 1000,
+    retryStatuses: RATE_LIMIT_STATUSES,
+    ...options,
+  };
+  const queue = [];
+  let startedAts = [];
+  let running = 0;
+  let retrying = 0;
+  let timeoutId = null;
+
+  /**
+   * Gets how long, in ms, until another request can be started within the rate limit.
+   * @returns {Number} The delay, or 0 when a request can be started now.
+   */
+  const getRateLimitDelay = () => {
+    const now = Date.now();
+
+    startedAts = startedAts.filter((startedAt) => now - startedAt < 1000);
+
+    if (startedAts.length < config.requestsPerSecond) return 0;
+
+    return startedAts[0] + 1000 - now;
+  };
+
+  /**
+   * Runs a queued job, retrying it when it is rejected with a retry status.
+   * @param {Object} job The job, with its request and promise handlers.
+   * @returns {void}
+   */
+  const runJob = (job) => {
+    running += 1;
+    startedAts.push(Date.now());
+
+    const onSettled = () => {
+      running -= 1;
+      processQueue();
+    };
+
+    new Promise((resolve) => resolve(job.request())).then(
+      (result) => {
+        job.resolve(result);
+        onSettled();
+      },
+      (error) => {
+        if (
+          !job.aborted &&
+          error &&
+          config.retryStatuses.includes(error.status) &&
+          job.attempt < config.retries
+        ) {
+          const delay = config.backoff * 2 ** job.attempt * (0.5 + Math.random());
+
+          job.attempt += 1;
+          retrying += 1;
+          setTimeout(() => {
+            retrying -= 1;
+
+            if (job.aborted) return;
+
+            queue.unshift(job);
+            processQueue();
+          }, delay);
+        } else {
+          job.reject(error);
+        }
+
+        onSettled();
+      }
+    );
+  };
+
+  /**
+   * Processes the queue once the delay is over, unless it is already waiting.
+   * @param {Number} delay Time, in ms, to wait.
+   * @returns {void}
+   */
+  const processQueueLater = (delay) => {
+    if (timeoutId !== null) return;
+
+    timeoutId = setTimeout(() => {
+      timeoutId = null;
+      processQueue();
+    }, delay);
+  };
+
+  /**
+   * Starts queued jobs while the concurrency and rate limits allow.
+   * @returns {void}
+   */
+  const processQueue = () => {
+    while (queue.length > 0 && running < config.concurrency) {
+      const delay = getRateLimitDelay();
+
+      if (delay > 0) {
+        processQueueLater(delay);
+        return;
+      }
+
+      runJob(queue.shift());
+    }
+  };
+
+  return {
+    get pending() {
+      return queue.length + running + retrying;
+    },
+    configure: (newOptions) => {
+      config = { ...config, ...newOptions };
+      processQueue();
+    },
+    schedule: (request, { signal } = {}) =>
+      new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(createAbortError());
+          return;
+        }
+
+        const onAbort = () => {
+          const index = queue.indexOf(job);
+
+          if (index !== -1) queue.splice(index, 1);
+
+          job.aborted = true;
+          reject(createAbortError());
+        };
+        // Removes the abort listener once the job settles, so long-lived signals don't retain it.
+        const removeAbortListener = () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const job = {
+          request,
+          resolve: (result) => {
+            removeAbortListener();
+            resolve(result);
+          },
+          reject: (error) => {
+            removeAbortListener();
+            reject(error);
+          },
+          attempt: 0,
+          aborted: false,
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        queue.push(job);
+        processQueue();
+      }),
+  };
+};
+
+/**
+ * Scheduler shared by the geocoder and directions actions of every useGoogleMapsActions.
+ */
+export const requestScheduler = createRequestScheduler();
+
+/**
+ * Changes the options of the shared scheduler.
+ * @param {Object} options Same options accepted by createRequestScheduler.
+ * @returns {void}
+ */
+export const configureRequestScheduler = (options) => requestScheduler.configure(options);
@@ -0,0 +1,78 @@
+import React, { createContext } from 'react';
+
+import { RESOURCE_TYPE, getScriptAttributes, getScriptKey } from '../scriptRegistry';
+
+/**
+ * Context with the collector of the server render, if any.
+ */
+export const ResourceCollectorContext = createContext(null);
+
+/**
+ * Escapes a value to be used inside a double quoted HTML attribute.
+ * @param {String} value The attribute value.
+ * @returns {String} The escaped value.
+ */
+const escapeAttribute = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Gets the HTML tag of a collected resource. Scripts are deferred, instead of async, so they run
+ * before hydration and are adopted by the hooks instead of being loaded again.
+ * @param {Object} config Registry configuration of the resource.
+ * @returns {String} The HTML tag.
+ */
+const getResourceTag = (config) => {
+  const attributes = getScriptAttributes(config)
+    .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+    .join('');
+
+  if (config.resourceType === RESOURCE_TYPE.STYLESHEET) {
+    return `<link rel="stylesheet" href="${escapeAttribute(config.src)}"${attributes}>`;
+  }
+
+  return `<script src="${escapeAttribute(config.src)}" defer${attributes}></script>`;
+};
+
+/**
+ * Creates a collector of the external scripts and stylesheets requested during a server render,
+ * so they can be put in the HTML head and adopted on the client during hydration.
+ * @returns {Object} The collector, with the collected resources, the collect function, used by
+ * the hooks, and the getTags function, which gets the HTML tags of the collected resources. The
+ * resources collected with an id, e.g. the script of a singleton loader, are replaced by later
+ * collects with the same id, instead of being collected again.
+ */
+export const createResourceCollector = () => {
+  const collected = new Map();
+
+  return {
+    get resources() {
+      return Array.from(collected.values());
+    },
+    collect: (config, id) => {
+      const key = id || getScriptKey(config);
+
+      if (id || !collected.has(key)) collected.set(key, config);
+    },
+    getTags: () =>
+      Array.from(collected.values())
+        .map(getResourceTag)
+        .join(''),
+  };
+};
+
+/**
+ * Provides the collector to the hooks rendered on the server.
+ * @param {Object} props Component props;
+ * @param {Object} props.collector Collector created by createResourceCollector;
+ * @param {React.ReactNode} props.children Rendered tree;
+ * @returns {React.ReactElement} The provider.
+ */
+export const ResourceCollectorProvider = ({ collector, children }) => (
+  <ResourceCollectorContext.Provider value={collector}>
+    {children}
+  </ResourceCollectorContext.Provider>
+);
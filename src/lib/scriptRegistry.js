@@ -0,0 +1,564 @@
+import { getGlobalValue } from './utils';
+
+/**
+ * Possible values of the status of an external script or stylesheet.
+ */
+export const SCRIPT_STATUS = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  READY: 'ready',
+  ERROR: 'error',
+};
+
+/**
+ * Kinds of external resources handled by the registry.
+ */
+export const RESOURCE_TYPE = {
+  SCRIPT: 'script',
+  STYLESHEET: 'stylesheet',
+};
+
+/**
+ * Module-level registry with one entry, and one load promise, per resource url and attributes.
+ */
+const scripts = new Map();
+
+/**
+ * How many users, e.g. mounted components, each registered script currently has.
+ */
+const scriptUsers = new Map();
+
+/**
+ * Builds the state object exposed by the script hooks.
+ * @param {String} status One of SCRIPT_STATUS values.
+ * @param {Object} [extra] Error, attempt and timestamps to be merged in the state.
+ * @returns {Object} The script state.
+ */
+export const createScriptState = (
+  status,
+  { error = null, attempt = 0, startedAt = null, settledAt = null } = {}
+) => ({
+  status,
+  ready: status === SCRIPT_STATUS.READY,
+  loading: status === SCRIPT_STATUS.LOADING,
+  error,
+  attempt,
+  startedAt,
+  settledAt,
+});
+
+/**
+ * Gets the current state of a registry entry.
+ * @param {Object} entry Registry entry returned by requestScript.
+ * @returns {Object} The script state.
+ */
+export const getScriptState = (entry) => createScriptState(entry.status, entry);
+
+/**
+ * Calls every listener of the entry with its current state.
+ * @param {Object} entry Registry entry.
+ * @returns {void}
+ */
+const notifyListeners = (entry) => {
+  const state = getScriptState(entry);
+
+  entry.listeners.forEach((listener) => listener(state));
+};
+
+/**
+ * Listens to the state changes of a registry entry.
+ * @param {Object} entry Registry entry returned by requestScript.
+ * @param {Function} listener Called with the script state on every change.
+ * @returns {Function} Removes the listener.
+ */
+export const subscribeScript = (entry, listener) => {
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+  };
+};
+
+/**
+ * Gets the attributes, other than the url, async and defer, to be set on the tag.
+ * @param {Object} config Same configurations accepted by requestScript.
+ * @returns {Array.<Array.<String>>} Pairs of attribute name and value, sorted by name.
+ */
+export const getScriptAttributes = ({
+  integrity,
+  crossOrigin = integrity ? 'anonymous' : undefined,
+  nonce,
+  referrerPolicy,
+  type,
+  media,
+  attributes = {},
+}) => {
+  const scriptAttributes = { ...attributes };
+  const namedAttributes = {
+    integrity,
+    crossorigin: crossOrigin,
+    nonce,
+    referrerpolicy: referrerPolicy,
+    media,
+    ...(type === 'nomodule' ? { nomodule: true } : { type }),
+  };
+
+  Object.keys(namedAttributes).forEach((name) => {
+    if (namedAttributes[name] !== undefined) scriptAttributes[name] = namedAttributes[name];
+  });
+
+  return Object.keys(scriptAttributes)
+    .filter((name) => scriptAttributes[name] != null && scriptAttributes[name] !== false)
+    .sort()
+    .map((name) => [name, scriptAttributes[name] === true ? '' : String(scriptAttributes[name])]);
+};
+
+/**
+ * Gets the registry key of a resource. Resources with the same url but different attributes are
+ * registered, and loaded, separately.
+ * @param {Object} config Same configurations accepted by requestScript.
+ * @returns {String} The registry key.
+ */
+export const getScriptKey = (config) =>
+  JSON.stringify([
+    config.resourceType || RESOURCE_TYPE.SCRIPT,
+    config.src,
+    getScriptAttributes(config),
+  ]);
+
+/**
+ * Tags created by the registry, so they are never adopted as pre-existing ones.
+ */
+const createdScripts = new WeakSet();
+
+/**
+ * Finds a tag with the given url that was not created by the registry, e.g. one rendered by the
+ * server or injected by another library.
+ * @param {Object} config Same configurations accepted by requestScript.
+ * @returns {(HTMLScriptElement|HTMLLinkElement|undefined)} The existing tag, if any.
+ */
+const findExistingScript = ({ src, resourceType }) => {
+  const [tags, urlAttribute] =
+    resourceType === RESOURCE_TYPE.STYLESHEET
+      ? [document.querySelectorAll('link[rel="stylesheet"]'), 'href']
+      : [document.getElementsByTagName('script'), 'src'];
+
+  return Array.from(tags).find(
+    (tag) =>
+      !createdScripts.has(tag) &&
+      (tag.getAttribute(urlAttribute) === src || tag[urlAttribute] === src)
+  );
+};
+
+/**
+ * Creates a script tag, or a link tag for stylesheets, with its attributes, without appending it.
+ * @param {Object} config Same configurations accepted by requestScript.
+ * @returns {(HTMLScriptElement|HTMLLinkElement)} The tag.
+ */
+const createScript = (config) => {
+  let script;
+
+  if (config.resourceType === RESOURCE_TYPE.STYLESHEET) {
+    script = document.createElement('link');
+    script.rel = 'stylesheet';
+    script.href = config.src;
+  } else {
+    script = document.createElement('script');
+    script.src = config.src;
+    script.async = config.async;
+    script.defer = config.defer;
+  }
+
+  getScriptAttributes(config).forEach(([name, value]) => script.setAttribute(name, value));
+  createdScripts.add(script);
+
+  return script;
+};
+
+/**
+ * Waits for a script tag to load, removing it from the document if it fails or times out.
+ * @param {HTMLScriptElement} script The script tag.
+ * @param {Object} config Same configurations accepted by requestScript.
+ * @promise {promise}
+ * @fulfill {HTMLScriptElement}
+ * @reject {(ErrorEvent|Error)}
+ * @returns {Promise.<HTMLScriptElement>} The loaded script element.
+ */
+const watchScript = (script, { src, timeout, resourceType = RESOURCE_TYPE.SCRIPT }) =>
+  new Promise((resolve, reject) => {
+    let timeoutId = null;
+
+    const cleanUp = () => {
+      clearTimeout(timeoutId);
+      script.removeEventListener('load', onScriptLoad);
+      script.removeEventListener('error', onScriptError);
+    };
+
+    const onScriptLoad = () => {
+      cleanUp();
+      resolve(script);
+    };
+
+    const onScriptError = (error) => {
+      cleanUp();
+      script.remove();
+      reject(error || new Error(`The ${resourceType} ${src} could not be loaded.`));
+    };
+
+    script.addEventListener('load', onScriptLoad);
+    script.addEventListener('error', onScriptError);
+
+    if (timeout > 0) {
+      timeoutId = setTimeout(
+        () => onScriptError(new Error(`The ${resourceType} ${src} timed out after ${timeout}ms.`)),
+        timeout
+      );
+    }
+  });
+
+/**
+ * Polls the readiness check of a script until it passes.
+ * @param {Object} config Same configurations accepted by requestScript, with isReady as function.
+ * @promise {promise}
+ * @fulfill {void}
+ * @reject {Error}
+ * @returns {Promise.<void>} Settles once the check passes or the readyTimeout is reached.
+ */
+const waitForReadiness = ({ src, isReady, readyTimeout, readyInterval }) =>
+  new Promise((resolve, reject) => {
+    let elapsed = 0;
+
+    const checkReadiness = () => {
+      if (isReady()) resolve();
+      else if (readyTimeout > 0 && elapsed >= readyTimeout) {
+        reject(new Error(`The script ${src} loaded, but was not ready after ${readyTimeout}ms.`));
+      } else {
+        elapsed += readyInterval;
+        setTimeout(checkReadiness, readyInterval);
+      }
+    };
+
+    checkReadiness();
+  });
+
+/**
+ * Gets the load status of a tag which was not created by the registry, from the Resource Timing
+ * entry of its url. A tag without entry is still being fetched, so its load or error event is yet
+ * to fire. Once fetched, the response status tells if it has loaded or failed. It is unknown when
+ * the browser hides that status, e.g. for cross-origin responses without CORS.
+ * @param {(HTMLScriptElement|HTMLLinkElement)} script The existing tag.
+ * @returns {(String|null)} One of SCRIPT_STATUS values, or null when the status is unknown.
+ */
+const getExistingScriptStatus = (script) => {
+  // Outside browsers, e.g. in jsdom, there are no entries and the tag is assumed to be loading.
+  if (typeof performance === 'undefined' || typeof performance.getEntriesByName !== 'function') {
+    return SCRIPT_STATUS.LOADING;
+  }
+
+  const [timingEntry] = performance.getEntriesByName(script.src || script.href, 'resource');
+
+  if (!timingEntry) return SCRIPT_STATUS.LOADING;
+
+  if (!timingEntry.responseStatus) return null;
+
+  return timingEntry.responseStatus < 400 ? SCRIPT_STATUS.READY : SCRIPT_STATUS.ERROR;
+};
+
+/**
+ * Loads a script, adopting a tag already in the document on the first attempt, and waits for its
+ * readiness check. Nothing is loaded when the readiness check already passes, or when an adopted
+ * stylesheet is already applied. Adopted tags are polled when they have a readiness check, and
+ * otherwise waited for while still loading, since the load event of a tag that has finished will
+ * never fire again. A fresh tag is only loaded when the state of the adopted one is unknown.
+ * @param {Object} entry Registry entry, which keeps the script tag being loaded.
+ * @param {Object} config Same configurations accepted by requestScript.
+ * @promise {promise}
+ * @fulfill {(HTMLScriptElement|null)}
+ * @reject {(ErrorEvent|Error)}
+ * @returns {Promise.<(HTMLScriptElement|null)>} The loaded script element, if any.
+ */
+const loadScriptTag = (entry, config) => {
+  const existingScript = entry.attempt === 1 ? findExistingScript(config) : undefined;
+
+  entry.element = existingScript || null;
+
+  if ((config.isReady && config.isReady()) || (existingScript && existingScript.sheet)) {
+    return Promise.resolve(entry.element);
+  }
+
+  if (existingScript && config.isReady) {
+    return waitForReadiness(config).then(() => existingScript);
+  }
+
+  const existingStatus = existingScript ? getExistingScriptStatus(existingScript) : null;
+
+  if (existingStatus === SCRIPT_STATUS.LOADING) return watchScript(existingScript, config);
+
+  if (existingStatus === SCRIPT_STATUS.READY) return Promise.resolve(existingScript);
+
+  if (existingStatus === SCRIPT_STATUS.ERROR) {
+    existingScript.remove();
+
+    return Promise.reject(
+      new Error(`The ${config.resourceType} ${config.src} could not be loaded.`)
+    );
+  }
+
+  const script = createScript(config);
+  const scriptLoad = watchScript(script, config);
+
+  entry.element = script;
+
+  if (config.resourceType === RESOURCE_TYPE.STYLESHEET) document.head.appendChild(script);
+  else document.body.appendChild(script);
+
+  if (!config.isReady) return scriptLoad;
+
+  return scriptLoad
+    .then(() => waitForReadiness(config))
+    .then(
+      () => script,
+      (error) => {
+        script.remove();
+        throw error;
+      }
+    );
+};
+
+/**
+ * Gets the registry entry of a script, appending the script tag if it was never requested or if
+ * its last load failed. A script tag with the same src already in the document is adopted instead
+ * of duplicated, unless its state can't be known, as is an already applied stylesheet. Failed
+ * attempts are retried with a fresh script tag, waiting the backoff delay, doubled on every
+ * retry, in between.
+ * @param {Object} config Object with the configurations;
+ * @param {String} config.src Script's url;
+ * @param {Boolean} [config.async] If should be loaded as async. Defaults as true;
+ * @param {Boolean} [config.defer] If should defer the load. Defaults as true;
+ * @param {Number} [config.timeout] Time, in ms, to wait for each attempt. Defaults to 0 (none);
+ * @param {Number} [config.retries] How many times a failed load is retried. Defaults to 0;
+ * @param {Number} [config.backoff] Delay, in ms, before the first retry. Defaults to 1000;
+ * @param {String} [config.integrity] Subresource Integrity hash of the script;
+ * @param {String} [config.crossOrigin] CORS setting. Defaults to 'anonymous' when integrity is set;
+ * @param {String} [config.nonce] Content Security Policy nonce;
+ * @param {String} [config.referrerPolicy] Referrer policy used to fetch the script;
+ * @param {String} [config.type] Script's type, including 'module' and 'nomodule';
+ * @param {Object} [config.attributes] Any other attributes to be set on the script tag;
+ * @param {(Function|String)} [config.isReady] Returns true once the script is usable, or the path
+ * of the global variable it defines (e.g. 'google.maps.places'). The script is only ready once it
+ * passes, which also allows adopting tags that have already loaded;
+ * @param {Number} [config.readyTimeout] Time, in ms, to wait for isReady after the script loads.
+ * Defaults to 10000;
+ * @param {Number} [config.readyInterval] Interval, in ms, between isReady checks. Defaults to 50;
+ * @param {String} [config.media] Media query of a stylesheet;
+ * @param {String} [config.resourceType] One of RESOURCE_TYPE values. Defaults to 'script';
+ * @returns {Object} The registry entry, whose promise settles once the script loads or fails.
+ */
+export const requestScript = (config) => {
+  const {
+    src,
+    async = true,
+    defer = true,
+    timeout = 0,
+    retries = 0,
+    backoff = 1000,
+    resourceType = RESOURCE_TYPE.SCRIPT,
+    isReady,
+    readyTimeout = 10000,
+    readyInterval = 50,
+  } = config;
+  const key = getScriptKey(config);
+  const cachedEntry = scripts.get(key);
+
+  if (cachedEntry && cachedEntry.status !== SCRIPT_STATUS.ERROR) return cachedEntry;
+
+  const entry = {
+    key,
+    src,
+    resourceType,
+    element: null,
+    removed: false,
+    status: SCRIPT_STATUS.LOADING,
+    error: null,
+    attempt: 0,
+    startedAt: Date.now(),
+    settledAt: null,
+    listeners: cachedEntry ? cachedEntry.listeners : new Set(),
+  };
+
+  entry.promise = new Promise((resolve, reject) => {
+    entry.abort = () =>
+      reject(new Error(`The ${resourceType} ${src} was removed before it loaded.`));
+
+    const attemptLoad = () => {
+      if (entry.removed) return;
+
+      entry.attempt += 1;
+      notifyListeners(entry);
+
+      loadScriptTag(entry, {
+        ...config,
+        async,
+        defer,
+        timeout,
+        resourceType,
+        isReady:
+          typeof isReady === 'string' ? () => getGlobalValue(isReady) !== undefined : isReady,
+        readyTimeout,
+        readyInterval,
+      }).then(
+        (script) => {
+          if (entry.removed) return;
+
+          entry.status = SCRIPT_STATUS.READY;
+          entry.settledAt = Date.now();
+          notifyListeners(entry);
+
+          resolve(script);
+        },
+        (error) => {
+          if (entry.removed) return;
+
+          if (entry.attempt <= retries) {
+            setTimeout(attemptLoad, backoff * 2 ** (entry.attempt - 1));
+            return;
+          }
+
+          entry.status = SCRIPT_STATUS.ERROR;
+          entry.error = error;
+          entry.settledAt = Date.now();
+          notifyListeners(entry);
+
+          reject(error);
+        }
+      );
+    };
+
+    attemptLoad();
+  });
+
+  // Subscribers handle the failure through the entry state.
+  entry.promise.catch(() => {});
+
+  scripts.set(key, entry);
+
+  return entry;
+};
+
+/**
+ * Gets the registry entry of a script without requesting it.
+ * @param {String} key Registry key, as returned by getScriptKey.
+ * @returns {(Object|undefined)} The registry entry, if the script was requested.
+ */
+export const getScriptEntry = (key) => scripts.get(key);
+
+/**
+ * Forgets every script whose load failed, so the next request loads it again instead of
+ * reporting the failure.
+ * @returns {void}
+ */
+export const clearFailedScripts = () => {
+  scripts.forEach((entry, key) => {
+    if (entry.status === SCRIPT_STATUS.ERROR) scripts.delete(key);
+  });
+};
+
+/**
+ * Checks if a script src was requested through the registry and has not failed.
+ * @param {String} src Script's url.
+ * @returns {Boolean} True when the script is loading or loaded.
+ */
+export const isScriptRequested = (src) =>
+  Array.from(scripts.values()).some(
+    (entry) =>
+      entry.src === src &&
+      entry.resourceType === RESOURCE_TYPE.SCRIPT &&
+      entry.status !== SCRIPT_STATUS.ERROR
+  );
+
+/**
+ * Removes a script tag from the document and resets its registry entry, so a later request
+ * loads it again.
+ * @param {Object} entry Registry entry returned by requestScript.
+ * @param {Array.<String>} [cleanupGlobals] Global variables defined by the script to be deleted.
+ * @returns {void}
+ */
+export const removeScript = (entry, cleanupGlobals = []) => {
+  entry.removed = true;
+  entry.abort();
+
+  if (entry.element) entry.element.remove();
+
+  cleanupGlobals.forEach((name) => {
+    try {
+      delete window[name];
+    } catch (error) {
+      window[name] = undefined;
+    }
+  });
+
+  if (scripts.get(entry.key) === entry) scripts.delete(entry.key);
+  scriptUsers.delete(entry.key);
+};
+
+/**
+ * Registers a new user of a script.
+ * @param {Object} entry Registry entry returned by requestScript.
+ * @returns {void}
+ */
+export const retainScript = (entry) => {
+  scriptUsers.set(entry.key, (scriptUsers.get(entry.key) || 0) + 1);
+};
+
+/**
+ * Unregisters a user of a script, removing the script once it has no users left if requested.
+ * @param {Object} entry Registry entry returned by requestScript.
+ * @param {Object} [options] Object with the options;
+ * @param {Boolean} [options.remove] If the script should be removed when it has no users left;
+ * @param {Array.<String>} [options.cleanupGlobals] Global variables to be deleted on removal;
+ * @returns {void}
+ */
+export const releaseScript = (entry, { remove = false, cleanupGlobals } = {}) => {
+  const users = Math.max((scriptUsers.get(entry.key) || 0) - 1, 0);
+
+  scriptUsers.set(entry.key, users);
+
+  if (users === 0 && remove) {
+    removeScript(scripts.get(entry.key) || entry, cleanupGlobals);
+  }
+};
+
+/**
+ * Gets the state of a group of resources: ready once every resource is ready, failed as soon as
+ * one of them fails, and loading while any of them loads.
+ * @param {Array.<Object>} states The state of each resource.
+ * @returns {Object} The aggregate state, with the state of each resource in resources.
+ */
+export const getAggregateState = (states) => {
+  const erroredState = states.find((state) => state.status === SCRIPT_STATUS.ERROR);
+  let status = SCRIPT_STATUS.READY;
+
+  if (erroredState) status = SCRIPT_STATUS.ERROR;
+  else if (states.some((state) => state.status === SCRIPT_STATUS.LOADING)) {
+    status = SCRIPT_STATUS.LOADING;
+  } else if (states.some((state) => state.status === SCRIPT_STATUS.IDLE)) {
+    status = SCRIPT_STATUS.IDLE;
+  }
+
+  const startedAt = states.map((state) => state.startedAt).filter(Boolean);
+  let settledAt = null;
+
+  if (erroredState) settledAt = erroredState.settledAt;
+  else if (status === SCRIPT_STATUS.READY && states.length > 0) {
+    settledAt = Math.max(...states.map((state) => state.settledAt));
+  }
+
+  return {
+    ...createScriptState(status, {
+      error: erroredState ? erroredState.error : null,
+      startedAt: startedAt.length > 0 ? Math.min(...startedAt) : null,
+      settledAt,
+    }),
+    resources: states,
+  };
+};
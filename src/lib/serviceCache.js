@@ -0,0 +1,305 @@
+import { canUseDOM } from './utils';
+
+/**
+ * Maximum time, in ms, results are cached. It matches the 30 consecutive days Google Maps
+ * Platform's terms allow latitude and longitude values to be cached temporarily, but the cache
+ * keeps whole results, e.g. addresses, which that allowance doesn't cover.
+ */
+export const MAX_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Request properties holding addresses, normalized regardless of case.
+ */
+const ADDRESS_KEYS = ['address', 'origin', 'destination', 'location'];
+
+/**
+ * Normalizes a request value, so equivalent requests get the same cache key. Object keys are
+ * sorted, empty values are left out, whitespace is collapsed and addresses are lowercased.
+ * @param {*} value Request value.
+ * @param {String} [key] Property name of the value.
+ * @returns {*} The normalized value.
+ */
+const normalizeRequestValue = (value, key) => {
+  if (value === undefined || value === null) return undefined;
+
+  if (value instanceof Date) return value.toISOString();
+
+  if (typeof value.toJSON === 'function') return normalizeRequestValue(value.toJSON(), key);
+
+  if (Array.isArray(value)) return value.map((item) => normalizeRequestValue(item, key));
+
+  if (typeof value === 'string') {
+    const trimmedValue = value.trim().replace(/\s+/g, ' ');
+
+    return ADDRESS_KEYS.includes(key) ? trimmedValue.toLowerCase() : trimmedValue;
+  }
+
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((normalizedValue, name) => {
+        const normalizedItem = normalizeRequestValue(value[name], name);
+
+        if (normalizedItem !== undefined) normalizedValue[name] = normalizedItem;
+
+        return normalizedValue;
+      }, {});
+  }
+
+  return value;
+};
+
+/**
+ * Gets the cache key of a service request.
+ * @param {String} service Name of the service (e.g. Geocoder or DirectionsService).
+ * @param {Object} request The request.
+ * @returns {String} The cache key.
+ */
+export const getCacheKey = (service, request) =>
+  JSON.stringify([service, normalizeRequestValue(request)]);
+
+/**
+ * Parses a serialized cache entry, converting LatLng and LatLngBounds literals back to Google
+ * Maps' instances.
+ * @param {String} serializedEntry Cache entry serialized as JSON.
+ * @returns {Object} The cache entry.
+ */
+const deserializeEntry = (serializedEntry) =>
+  JSON.parse(serializedEntry, (key, value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+
+    const names = Object.keys(value)
+      .sort()
+      .join(',');
+
+    if (names === 'lat,lng') return new window.google.maps.LatLng(value.lat, value.lng);
+
+    if (names === 'east,north,south,west') {
+      return new window.google.maps.LatLngBounds(
+        { lat: value.south, lng: value.west },
+        { lat: value.north, lng: value.east }
+      );
+    }
+
+    return value;
+  });
+
+/**
+ * Creates an in-memory cache adapter, which evicts the least recently used entries.
+ * @param {Object} [options] Object with the configurations;
+ * @param {Number} [options.maxEntries] Maximum number of entries. Defaults to 500;
+ * @returns {Object} The adapter.
+ */
+export const createMemoryCacheAdapter = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  return {
+    persistent: false,
+    get: (key) => {
+      const entry = entries.get(key);
+
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+
+      return Promise.resolve(entry);
+    },
+    set: (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+
+      return Promise.resolve();
+    },
+    delete: (key) => {
+      entries.delete(key);
+
+      return Promise.resolve();
+    },
+    clear: () => {
+      entries.clear();
+
+      return Promise.resolve();
+    },
+  };
+};
+
+/**
+ * Creates a sessionStorage cache adapter, which keeps the entries while the tab is open.
+ * @param {Object} [options] Object with the configurations;
+ * @param {String} [options.prefix] Prefix of the storage keys. Defaults to 'splice-react-hooks:';
+ * @returns {Object} The adapter, flagged as persistent.
+ */
+export const createSessionStorageCacheAdapter = ({ prefix = 'splice-react-hooks:' } = {}) => ({
+  persistent: true,
+  get: (key) =>
+    new Promise((resolve) => {
+      const serializedEntry = window.sessionStorage.getItem(prefix + key);
+
+      resolve(serializedEntry ? deserializeEntry(serializedEntry) : undefined);
+    }),
+  set: (key, entry) =>
+    new Promise((resolve) => {
+      window.sessionStorage.setItem(prefix + key, JSON.stringify(entry));
+      resolve();
+    }),
+  delete: (key) =>
+    new Promise((resolve) => {
+      window.sessionStorage.removeItem(prefix + key);
+      resolve();
+    }),
+  clear: () =>
+    new Promise((resolve) => {
+      Object.keys(window.sessionStorage)
+        .filter((storageKey) => storageKey.startsWith(prefix))
+        .forEach((storageKey) => window.sessionStorage.removeItem(storageKey));
+      resolve();
+    }),
+});
+
+/**
+ * Creates an IndexedDB cache adapter, which keeps the entries across sessions.
+ * @param {Object} [options] Object with the configurations;
+ * @param {String} [options.databaseName] Name of the database. Defaults to 'splice-react-hooks';
+ * @param {String} [options.storeName] Name of the object store. Defaults to 'googleMapsCache';
+ * @returns {Object} The adapter, flagged as persistent.
+ */
+export const createIndexedDBCacheAdapter = ({
+  databaseName = 'splice-react-hooks',
+  storeName = 'googleMapsCache',
+} = {}) => {
+  let database = null;
+
+  const openDatabase = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(databaseName, 1);
+
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return database;
+  };
+
+  const runRequest = (mode, getRequest) =>
+    openDatabase().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const request = getRequest(db.transaction(storeName, mode).objectStore(storeName));
+
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+
+  return {
+    persistent: true,
+    get: (key) =>
+      runRequest('readonly', (store) => store.get(key)).then((serializedEntry) =>
+        serializedEntry ? deserializeEntry(serializedEntry) : undefined
+      ),
+    set: (key, entry) => runRequest('readwrite', (store) => store.put(JSON.stringify(entry), key)),
+    delete: (key) => runRequest('readwrite', (store) => store.delete(key)),
+    clear: () => runRequest('readwrite', (store) => store.clear()),
+  };
+};
+
+/**
+ * Creates a cache of service results. Identical requests in flight share a single call, and only
+ * successful results are cached. Whole results are cached, including content other than
+ * latitudes, longitudes and place IDs, which Google Maps Platform's terms don't allow to be
+ * stored. Persistent adapters, which keep the results beyond the page, must then be opted in
+ * with persistFullResults, after checking the terms allow it, e.g. under a custom agreement.
+ * @param {Object} [options] Object with the configurations;
+ * @param {Object} [options.adapter] Adapter created by createMemoryCacheAdapter,
+ * createSessionStorageCacheAdapter or createIndexedDBCacheAdapter. Defaults to a memory adapter;
+ * @param {Number} [options.ttl] Time, in ms, results are kept. Defaults to 1 day, and can't be
+ * longer than MAX_CACHE_TTL;
+ * @param {Boolean} [options.persistFullResults] If whole results can be stored by a persistent
+ * adapter. Defaults as false;
+ * @returns {Object} The cache, with the resolve function, which gets a cached result or calls
+ * load, and the clear function.
+ */
+export const createServiceCache = ({
+  adapter = createMemoryCacheAdapter(),
+  ttl = 24 * 60 * 60 * 1000,
+  persistFullResults = false,
+} = {}) => {
+  if (adapter.persistent && !persistFullResults) {
+    throw new Error(
+      "Persistent cache adapters store whole service results, which Google Maps Platform's terms only allow for latitudes, longitudes and place IDs. Set persistFullResults to true to opt in."
+    );
+  }
+
+  const requestsInFlight = new Map();
+  const _ttl = Math.min(ttl, MAX_CACHE_TTL);
+
+  /**
+   * Gets the cached result of a request, or loads and caches it.
+   * @param {String} service Name of the service.
+   * @param {Object} request The request.
+   * @param {Function} load Calls the service, returning a promise of the result.
+   * @promise {promise}
+   * @fulfill {*}
+   * @reject {Error}
+   * @returns {Promise.<*>} The result.
+   */
+  const resolve = (service, request, load) => {
+    const key = getCacheKey(service, request);
+    const requestInFlight = requestsInFlight.get(key);
+
+    if (requestInFlight) return requestInFlight;
+
+    const result = adapter
+      .get(key)
+      .catch(() => undefined)
+      .then((entry) => {
+        if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+        if (entry) adapter.delete(key).catch(() => {});
+
+        return load().then((value) => {
+          if (value !== null && value !== undefined) {
+            adapter.set(key, { value, expiresAt: Date.now() + _ttl }).catch(() => {});
+          }
+
+          return value;
+        });
+      })
+      .then(
+        (value) => {
+          requestsInFlight.delete(key);
+
+          return value;
+        },
+        (error) => {
+          requestsInFlight.delete(key);
+
+          throw error;
+        }
+      );
+
+    requestsInFlight.set(key, result);
+
+    return result;
+  };
+
+  return { resolve, clear: () => adapter.clear() };
+};
+
+let sharedServiceCache = null;
+
+/**
+ * Gets the in-memory cache shared by every useGoogleMapsActions using the cache option as true.
+ * @returns {Object} The shared cache.
+ */
+export const getSharedServiceCache = () => {
+  if (!sharedServiceCache && canUseDOM) sharedServiceCache = createServiceCache();
+
+  return sharedServiceCache;
+};
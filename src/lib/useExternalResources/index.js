@@ -0,0 +1,120 @@
+import { useState, useEffect, useContext, useMemo, useRef } from 'react';
+
+import {
+  RESOURCE_TYPE,
+  SCRIPT_STATUS,
+  createScriptState,
+  getAggregateState,
+  getScriptKey,
+  getScriptState,
+  releaseScript,
+  requestScript,
+  retainScript,
+  subscribeScript,
+} from '../scriptRegistry';
+import { ResourceCollectorContext } from '../resourceCollector';
+import { canUseDOM } from '../utils';
+
+/**
+ * Gets the registry configuration of a resource: stylesheets are given by href, scripts by src.
+ * @param {Object} resource Configurations of useExternalScript or useExternalStylesheet.
+ * @returns {Object} The registry configuration.
+ */
+const getResourceConfig = ({ href, ...resource }) =>
+  href ? { ...resource, src: href, resourceType: RESOURCE_TYPE.STYLESHEET } : resource;
+
+/**
+ * Gets the state of each resource. In a sequential load, the resources after a failed one are
+ * never requested, and fail as well.
+ * @param {Array.<Object>} configs Registry configuration of each resource.
+ * @param {Array.<Object>} entries Registry entry of each requested resource.
+ * @returns {Array.<Object>} The state, with the url as src, of each resource.
+ */
+const getResourcesStates = (configs, entries) => {
+  const failedEntry = entries.find((entry) => entry && entry.status === SCRIPT_STATUS.ERROR);
+
+  return configs.map(({ src, resourceType = RESOURCE_TYPE.SCRIPT }, index) => {
+    if (entries[index]) return { ...getScriptState(entries[index]), src };
+
+    if (failedEntry) {
+      const error = new Error(
+        `The ${resourceType} ${src} was not loaded because ${failedEntry.src} failed to load.`
+      );
+
+      return { ...createScriptState(SCRIPT_STATUS.ERROR, { error }), src };
+    }
+
+    return { ...createScriptState(SCRIPT_STATUS.IDLE), src };
+  });
+};
+
+/**
+ * Loads a list of external scripts and stylesheets, in parallel or in the given order.
+ * @param {Array.<Object>} resources Configurations of each resource, as accepted by
+ * useExternalScript (with src) or by useExternalStylesheet (with href).
+ * @param {Object} [options] Object with the options;
+ * @param {Boolean} [options.sequential] If each resource should only be requested once the
+ * previous one is ready, stopping at the first failure. Defaults as false;
+ * @returns {Object} The aggregate state: ready only once every resource is ready and errored as
+ * soon as one fails, with the state, and src, of each resource in resources.
+ */
+const useExternalResources = (resources = [], { sequential = false } = {}) => {
+  const _configs = resources.map(getResourceConfig);
+  const _configsRef = useRef(_configs);
+  const _resourcesKey = JSON.stringify(_configs.map(getScriptKey));
+  const [resourcesStates, setResourcesStates] = useState(() => getResourcesStates(_configs, []));
+  const _collector = useContext(ResourceCollectorContext);
+
+  if (!canUseDOM && _collector) _configs.forEach(_collector.collect);
+
+  _configsRef.current = _configs;
+
+  useEffect(() => {
+    const configs = _configsRef.current;
+    const entries = [];
+    const unsubscribes = [];
+    let active = true;
+
+    const updateStates = () => {
+      if (active) setResourcesStates(getResourcesStates(configs, entries));
+    };
+
+    const requestResource = (index) => {
+      const entry = requestScript(configs[index]);
+
+      entries[index] = entry;
+      retainScript(entry);
+      unsubscribes.push(subscribeScript(entry, updateStates));
+
+      return entry;
+    };
+
+    const requestNextResource = (index) => {
+      if (!active || index >= configs.length) return;
+
+      requestResource(index).promise.then(() => requestNextResource(index + 1), () => {});
+      updateStates();
+    };
+
+    if (sequential) requestNextResource(0);
+    else {
+      configs.forEach((config, index) => requestResource(index));
+      updateStates();
+    }
+
+    return () => {
+      active = false;
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      entries.forEach((entry, index) =>
+        releaseScript(entry, {
+          remove: configs[index].removeOnUnmount,
+          cleanupGlobals: configs[index].cleanupGlobals,
+        })
+      );
+    };
+  }, [_resourcesKey, sequential]);
+
+  return useMemo(() => getAggregateState(resourcesStates), [resourcesStates]);
+};
+
+export default useExternalResources;
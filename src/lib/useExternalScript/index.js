@@ -1,56 +1,117 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useContext, useMemo, useRef } from 'react';
 
-const cachedScripts = [];
+import {
+  SCRIPT_STATUS,
+  createScriptState,
+  getScriptEntry,
+  getScriptKey,
+  getScriptState,
+  releaseScript,
+  requestScript,
+  retainScript,
+  subscribeScript,
+} from '../scriptRegistry';
+import useLoadStrategy from '../useLoadStrategy';
+import { ResourceCollectorContext } from '../resourceCollector';
+import { canUseDOM } from '../utils';
+
+export { SCRIPT_STATUS };
 
 /**
- * Loads external scripts.
+ * Loads external scripts. Every component requesting the same src shares a single load, and is
+ * only updated once the script has actually loaded or failed. Script tags with the same src
+ * already in the document are adopted instead of duplicated, unless their state can't be known
+ * without isReady. On the server, nothing is loaded and the script is only collected by the
+ * ResourceCollectorProvider, if any.
  * @param {String} config Object with the configurations;
  * @param {String} config.src Script's url;
  * @param {Boolean} [config.async] If should be loaded as async. Defaults as true;
  * @param {Boolean} [config.defer] If should defer the load. Defaults as true;
- * @returns {Boolean} True for loaded script and false for errors.
+ * @param {Number} [config.timeout] Time, in ms, to wait for each attempt. Defaults to 0 (none);
+ * @param {Number} [config.retries] How many times a failed load is retried. Defaults to 0;
+ * @param {Number} [config.backoff] Delay, in ms, before the first retry, doubled on every retry.
+ * Defaults to 1000;
+ * @param {String} [config.integrity] Subresource Integrity hash of the script;
+ * @param {String} [config.crossOrigin] CORS setting. Defaults to 'anonymous' when integrity is set;
+ * @param {String} [config.nonce] Content Security Policy nonce;
+ * @param {String} [config.referrerPolicy] Referrer policy used to fetch the script;
+ * @param {String} [config.type] Script's type, including 'module' and 'nomodule';
+ * @param {Object} [config.attributes] Any other attributes to be set on the script tag;
+ * @param {(Function|String)} [config.isReady] Returns true once the script is usable, or the path
+ * of the global variable it defines (e.g. 'google.maps.places'). The script is only reported
+ * ready once it passes. Needed to adopt script tags already in the document whose load state is
+ * hidden by the browser, e.g. cross-origin ones without CORS that have finished loading;
+ * @param {Number} [config.readyTimeout] Time, in ms, to wait for isReady after the script loads.
+ * Defaults to 10000;
+ * @param {Number} [config.readyInterval] Interval, in ms, between isReady checks. Defaults to 50;
+ * @param {Boolean} [config.removeOnUnmount] If the script tag should be removed once the last
+ * component using it unmounts. Defaults as false;
+ * @param {Array.<String>} [config.cleanupGlobals] Global variables defined by the script to be
+ * deleted along with the script tag;
+ * @param {String} [config.strategy] When to load: 'immediate' (default), 'idle' (once the browser
+ * is idle), 'visible' (once targetRef's element is visible) or 'manual' (once load is called);
+ * @param {Object} [config.targetRef] Ref of the element observed by the 'visible' strategy;
+ * @param {Boolean} [config.suspense] If the component should suspend, throwing the shared load
+ * promise, while the script loads, and throw the load error to the nearest error boundary, e.g.
+ * ScriptErrorBoundary, when it fails. Defaults as false;
+ * @returns {Object} The script state: status ('idle', 'loading', 'ready' or 'error'), ready and
+ * loading flags, the error (ErrorEvent or Error) when it fails, the current attempt, the
+ * startedAt/settledAt timestamps and the load function, which triggers the load manually.
  */
-const useExternalScript = ({ src, async = true, defer = true }) => {
-  const [scriptReady, setScriptReady] = useState(false);
+const useExternalScript = (config) => {
+  const _configRef = useRef(config);
+  const _scriptKey = config.src ? getScriptKey(config) : null;
+  const { triggered: _triggered, load: _load } = useLoadStrategy(config.strategy, config.targetRef);
+  const _collector = useContext(ResourceCollectorContext);
+  const [scriptState, setScriptState] = useState(() => {
+    const entry = _scriptKey && _triggered && getScriptEntry(_scriptKey);
 
-  useEffect(() => {
-    const scriptAlreadyLoaded = cachedScripts.includes(src);
+    return entry ? getScriptState(entry) : createScriptState(SCRIPT_STATUS.IDLE);
+  });
 
-    if (scriptAlreadyLoaded) setScriptReady(true);
-    else {
-      cachedScripts.push(src);
-      const script = document.createElement('script');
+  if (!canUseDOM && _collector && _scriptKey && _triggered) _collector.collect(config);
 
-      script.src = src;
-      script.async = async;
-      script.defer = defer;
+  if (config.suspense && canUseDOM && _scriptKey && _triggered) {
+    const entry = getScriptEntry(_scriptKey) || requestScript(config);
 
-      const onScriptLoad = () => {
-        setScriptReady(true);
-      };
+    if (entry.status === SCRIPT_STATUS.LOADING) throw entry.promise;
 
-      const onScriptError = () => {
-        const index = cachedScripts.indexOf(src);
+    if (entry.status === SCRIPT_STATUS.ERROR) {
+      throw entry.error instanceof Error
+        ? entry.error
+        : new Error(`The script ${config.src} could not be loaded.`);
+    }
+  }
 
-        if (index >= 0) cachedScripts.splice(index, 1);
-        script.remove();
+  _configRef.current = config;
 
-        setScriptReady(false);
-      };
+  useEffect(() => {
+    if (!_scriptKey || !_triggered) {
+      setScriptState(createScriptState(SCRIPT_STATUS.IDLE));
+      return;
+    }
 
-      script.addEventListener('load', onScriptLoad);
-      script.addEventListener('error', onScriptError);
+    const { removeOnUnmount, cleanupGlobals } = _configRef.current;
+    const entry = requestScript(_configRef.current);
+    const unsubscribe = subscribeScript(entry, setScriptState);
 
-      document.body.appendChild(script);
+    retainScript(entry);
+    setScriptState(getScriptState(entry));
 
-      return () => {
-        script.removeEventListener('load', onScriptLoad);
-        script.removeEventListener('error', onScriptError);
-      };
-    }
-  }, [src, defer, async]);
+    return () => {
+      unsubscribe();
+      releaseScript(entry, { remove: removeOnUnmount, cleanupGlobals });
+    };
+  }, [_scriptKey, _triggered]);
 
-  return scriptReady;
+  return useMemo(() => ({ ...scriptState, load: _load }), [scriptState, _load]);
 };
 
+/**
+ * Compatibility path for the former boolean API of useExternalScript.
+ * @param {Object} config Same configurations accepted by useExternalScript.
+ * @returns {Boolean} True for loaded script and false while loading or for errors.
+ */
+export const useExternalScriptReady = (config) => useExternalScript(config).ready;
+
 export default useExternalScript;
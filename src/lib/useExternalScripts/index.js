@@ -0,0 +1,16 @@
+import useExternalResources from '../useExternalResources';
+
+/**
+ * Loads a list of external scripts, in parallel or in dependency order, e.g. a SDK's core script
+ * followed by its plugins.
+ * @param {Array.<Object>} scripts Configurations of each script, as accepted by useExternalScript.
+ * @param {Object} [options] Object with the options;
+ * @param {Boolean} [options.sequential] If each script should only be requested once the previous
+ * one is ready. The chain stops at the first failure, and the scripts after it fail with an error
+ * naming the script that failed. Defaults as false;
+ * @returns {Object} The aggregate state, as returned by useExternalResources, with the state of
+ * each script in resources.
+ */
+const useExternalScripts = (scripts, options) => useExternalResources(scripts, options);
+
+export default useExternalScripts;
@@ -0,0 +1,29 @@
+import useExternalScript from '../useExternalScript';
+import { RESOURCE_TYPE } from '../scriptRegistry';
+
+/**
+ * Loads external stylesheets, sharing the registry, and so the deduplication, retries and
+ * removal, of useExternalScript.
+ * @param {Object} config Object with the configurations;
+ * @param {String} config.href Stylesheet's url;
+ * @param {String} [config.media] Media query the stylesheet applies to;
+ * @param {Number} [config.timeout] Time, in ms, to wait for each attempt. Defaults to 0 (none);
+ * @param {Number} [config.retries] How many times a failed load is retried. Defaults to 0;
+ * @param {Number} [config.backoff] Delay, in ms, before the first retry, doubled on every retry.
+ * Defaults to 1000;
+ * @param {String} [config.integrity] Subresource Integrity hash of the stylesheet;
+ * @param {String} [config.crossOrigin] CORS setting. Defaults to 'anonymous' when integrity is set;
+ * @param {String} [config.nonce] Content Security Policy nonce;
+ * @param {String} [config.referrerPolicy] Referrer policy used to fetch the stylesheet;
+ * @param {Object} [config.attributes] Any other attributes to be set on the link tag;
+ * @param {Boolean} [config.removeOnUnmount] If the link tag should be removed once the last
+ * component using it unmounts. Defaults as false;
+ * @param {String} [config.strategy] When to load: 'immediate' (default), 'idle', 'visible' or
+ * 'manual';
+ * @param {Object} [config.targetRef] Ref of the element observed by the 'visible' strategy;
+ * @returns {Object} The stylesheet state, as returned by useExternalScript.
+ */
+const useExternalStylesheet = ({ href, ...config }) =>
+  useExternalScript({ ...config, src: href, resourceType: RESOURCE_TYPE.STYLESHEET });
+
+export default useExternalStylesheet;
@@ -0,0 +1,61 @@
+import { useState, useEffect, useContext, useRef } from 'react';
+
+import { GoogleMapsContext } from '../GoogleMapsProvider';
+import useGoogleMapsLibrary from '../useGoogleMapsLibrary';
+
+/**
+ * Creates a Google Maps' Map instance in the element of the ref, once the API is loaded, either by
+ * a GoogleMapsProvider or by useGoogleMapsScript. Later changes of the options are applied to the
+ * same instance, and its listeners are cleared on unmount.
+ * @param {Object} ref Ref of the map's container element.
+ * @param {Object} [options] Object with the configurations;
+ * @param {String} [options.id] Id used to register the instance in the GoogleMapsProvider, so it
+ * can be used through useMapInstance;
+ * @param {...window.google.maps.MapOptions} [options.mapOptions] Any Google Maps' MapOptions.
+ * @see {https://developers.google.com/maps/documentation/javascript/reference/map#MapOptions}
+ * @returns {window.google.maps.Map} The map instance, or null while it is not created.
+ */
+const useGoogleMap = (ref, options = {}) => {
+  const { id, ...mapOptions } = options;
+  const _context = useContext(GoogleMapsContext);
+  const { library: _mapsLibrary } = useGoogleMapsLibrary('maps');
+  const [map, setMap] = useState(null);
+  const _mapOptionsRef = useRef(mapOptions);
+  const _mapOptionsKey = JSON.stringify(mapOptions);
+
+  _mapOptionsRef.current = mapOptions;
+
+  useEffect(() => {
+    if (!_mapsLibrary || !ref.current) return;
+
+    const mapInstance = new _mapsLibrary.Map(ref.current, _mapOptionsRef.current);
+
+    setMap(mapInstance);
+
+    return () => {
+      window.google.maps.event.clearInstanceListeners(mapInstance);
+      setMap(null);
+    };
+  }, [_mapsLibrary, ref]);
+
+  useEffect(() => {
+    if (map) map.setOptions(_mapOptionsRef.current);
+  }, [map, _mapOptionsKey]);
+
+  const _registerMap = _context && _context.registerMap;
+  const _unregisterMap = _context && _context.unregisterMap;
+
+  useEffect(() => {
+    if (!map || id === undefined || !_registerMap) return;
+
+    _registerMap(id, map);
+
+    return () => {
+      _unregisterMap(id, map);
+    };
+  }, [map, id, _registerMap, _unregisterMap]);
+
+  return map;
+};
+
+export default useGoogleMap;
@@ -1,12 +1,111 @@
-import { useCallback, useRef } from 'react';
-
-import { checkForGoogleMaps, checkForGeometryLib } from '../utils';
+import { useCallback, useEffect, useRef } from 'react';
+
+import { GoogleMapsServiceError } from '../errors';
+import { requestScheduler } from '../requestScheduler';
+import { getSharedServiceCache } from '../serviceCache';
+import { checkForGoogleMaps, checkForGeometryLib, withAbortSignal } from '../utils';
+
+/**
+ * Resolves null for ZERO_RESULTS errors when nullOnEmpty is set, rethrowing any other error.
+ * @param {Boolean} nullOnEmpty If ZERO_RESULTS resolves null.
+ * @returns {Function} The rejection handler.
+ */
+const handleEmptyResults = (nullOnEmpty) => (error) => {
+  if (nullOnEmpty && error instanceof GoogleMapsServiceError && error.status === 'ZERO_RESULTS') {
+    return null;
+  }
+
+  throw error;
+};
 
-const useGoogleMapsActions = () => {
+/**
+ * Actions using Google Maps' API. Geocoder and DirectionsService requests run through a
+ * rate-limited scheduler, which retries the ones rejected with OVER_QUERY_LIMIT. Every async
+ * action accepts an AbortSignal, and rejects with an AbortError once its signal is aborted. The
+ * pending actions are also aborted once the component unmounts or, with latestOnly, once the same
+ * action is called again, rejecting with the same AbortError, which callers can tell apart from
+ * failures by its name, e.g. to skip updating the state of an unmounted component.
+ * @param {Object} [options] Object with the configurations;
+ * @param {Object} [options.scheduler] Scheduler created by createRequestScheduler. Defaults to the
+ * scheduler shared by every useGoogleMapsActions, configured through configureRequestScheduler;
+ * @param {(Object|Boolean)} [options.cache] Cache created by createServiceCache, or true to use the
+ * in-memory cache shared by every useGoogleMapsActions. Defaults to none;
+ * @param {Boolean} [options.latestOnly] If calling an action aborts its previous call still
+ * pending, rejecting it with an AbortError, so only the latest request wins, e.g. while the
+ * user types. Defaults as false;
+ * @returns {Object} The actions.
+ */
+const useGoogleMapsActions = ({ scheduler = requestScheduler, cache, latestOnly = false } = {}) => {
+  const _cache = cache === true ? getSharedServiceCache() : cache || null;
   const _geocoderRef = useRef(null);
   const _boundsRef = useRef();
   const _directionsServiceRef = useRef(null);
   const _directionsRendererRef = useRef(null);
+  const _pendingControllersRef = useRef(new Set());
+  const _latestControllersRef = useRef({});
+
+  useEffect(() => {
+    const pendingControllers = _pendingControllersRef.current;
+
+    return () => {
+      pendingControllers.forEach((controller) => controller.abort());
+    };
+  }, []);
+
+  /**
+   * Runs an async action, aborted by the caller's signal, once the component unmounts or, with
+   * latestOnly, once the same action is called again.
+   * @param {String} actionName Name of the action.
+   * @param {AbortSignal} [signal] Signal of the caller.
+   * @param {Function} run Runs the action with the combined signal, returning its promise.
+   * @promise {promise}
+   * @fulfill {*}
+   * @reject {Error}
+   * @returns {Promise} The action's promise, rejected with an AbortError once aborted.
+   */
+  const _runAbortable = useCallback(
+    (actionName, signal, run) => {
+      if (typeof AbortController === 'undefined') return run(signal);
+
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      const pendingControllers = _pendingControllersRef.current;
+      const latestControllers = _latestControllersRef.current;
+
+      if (latestOnly && latestControllers[actionName]) latestControllers[actionName].abort();
+
+      latestControllers[actionName] = controller;
+      pendingControllers.add(controller);
+
+      if (signal && signal.aborted) abort();
+      else if (signal) signal.addEventListener('abort', abort);
+
+      const cleanUp = () => {
+        pendingControllers.delete(controller);
+
+        if (signal) signal.removeEventListener('abort', abort);
+
+        if (latestControllers[actionName] === controller) delete latestControllers[actionName];
+      };
+
+      return withAbortSignal(
+        new Promise((resolve) => resolve(run(controller.signal))),
+        controller.signal
+      ).then(
+        (value) => {
+          cleanUp();
+
+          return value;
+        },
+        (error) => {
+          cleanUp();
+
+          throw error;
+        }
+      );
+    },
+    [latestOnly]
+  );
 
   /**
    * Clears the current route rendered by Google Maps' DirectionsRenderer.
@@ -58,43 +157,52 @@ const useGoogleMapsActions = () => {
    * Gets the address, location and number, if available, from GeocoderResult.
    * @param {window.google.maps.GeocoderResult} geocoderResult Google Maps' GeocoderResult interface.
    * @see {https://developers.google.com/maps/documentation/javascript/reference/geocoder#GeocoderResult}
+   * @param {Object} [options] Object with the configurations;
+   * @param {AbortSignal} [options.signal] Signal which aborts the action;
    * @promise {promise}
    * @fulfill {Object}
    * @reject {Error}
    * @returns {Promise.<Object>} Object containing the address, location and number, if available.
    */
   const _getAddressAndLocationFromGeocoderResult = useCallback(
-    (geocoderResult) =>
-      new Promise((resolve, reject) => {
-        try {
-          const {
-            formatted_address: address,
-            geometry,
-            address_components: addressComponents,
-          } = geocoderResult[0];
-
-          const { short_name: shortName } = addressComponents[0];
-
-          const { location } = geometry;
-
-          const number = parseInt(shortName);
-
-          if (Number.isNaN(number)) {
-            resolve({ address, location });
-          } else {
-            resolve({ address, number, location });
-          }
-        } catch (error) {
-          reject(error);
-        }
-      }),
-    []
+    (geocoderResult, { signal } = {}) =>
+      _runAbortable(
+        'getAddressAndLocationFromGeocoderResult',
+        signal,
+        () =>
+          new Promise((resolve, reject) => {
+            try {
+              const {
+                formatted_address: address,
+                geometry,
+                address_components: addressComponents,
+              } = geocoderResult[0];
+
+              const { short_name: shortName } = addressComponents[0];
+
+              const { location } = geometry;
+
+              const number = parseInt(shortName);
+
+              if (Number.isNaN(number)) {
+                resolve({ address, location });
+              } else {
+                resolve({ address, number, location });
+              }
+            } catch (error) {
+              reject(error);
+            }
+          })
+      ),
+    [_runAbortable]
   );
 
   /**
    * Gets all LatLng instances from DirectionsResult's routes.
    * @param {window.google.maps.DirectionsResult} directionsResult Google Maps' DirectionsResult interface.
    * @see {https://developers.google.com/maps/documentation/javascript/reference/directions#DirectionsResult}
+   * @param {Object} [options] Object with the configurations;
+   * @param {AbortSignal} [options.signal] Signal which aborts the action;
    * @promise {promise}
    * @fulfill {Array.<window.google.maps.LatLng>}
    * @reject {Error}
@@ -102,40 +210,45 @@ const useGoogleMapsActions = () => {
    * @see {https://developers.google.com/maps/documentation/javascript/reference/coordinates#LatLng}
    */
   const _getLatLngsFromDirectionsResult = useCallback(
-    (directionsResult) =>
-      new Promise((resolve, reject) => {
-        try {
-          const { routes } = directionsResult;
-          const [route] = routes;
-
-          const latLngs = [];
-
-          if (route.legs && route.legs.length > 0) {
-            for (let i = 0; i < route.legs.length; i++) {
-              const leg = route.legs[i];
-              if (leg.steps && leg.steps.length > 0) {
-                for (let j = 0; j < leg.steps.length; j++) {
-                  const step = leg.steps[j];
-                  if (step.steps && step.steps.length > 0) {
-                    for (let k = 0; k < step.steps.length; k++) {
-                      const innerStep = step.steps[k];
-
-                      innerStep.path.forEach((p) => latLngs.push(p));
+    (directionsResult, { signal } = {}) =>
+      _runAbortable(
+        'getLatLngsFromDirectionsResult',
+        signal,
+        () =>
+          new Promise((resolve, reject) => {
+            try {
+              const { routes } = directionsResult;
+              const [route] = routes;
+
+              const latLngs = [];
+
+              if (route.legs && route.legs.length > 0) {
+                for (let i = 0; i < route.legs.length; i++) {
+                  const leg = route.legs[i];
+                  if (leg.steps && leg.steps.length > 0) {
+                    for (let j = 0; j < leg.steps.length; j++) {
+                      const step = leg.steps[j];
+                      if (step.steps && step.steps.length > 0) {
+                        for (let k = 0; k < step.steps.length; k++) {
+                          const innerStep = step.steps[k];
+
+                          innerStep.path.forEach((p) => latLngs.push(p));
+                        }
+                      } else {
+                        step.path.forEach((p) => latLngs.push(p));
+                      }
                     }
-                  } else {
-                    step.path.forEach((p) => latLngs.push(p));
                   }
                 }
               }
-            }
-          }
 
-          resolve(latLngs);
-        } catch (error) {
-          reject(error);
-        }
-      }),
-    []
+              resolve(latLngs);
+            } catch (error) {
+              reject(error);
+            }
+          })
+      ),
+    [_runAbortable]
   );
 
   /**
@@ -143,12 +256,14 @@ const useGoogleMapsActions = () => {
    * @param {Array.<window.google.maps.LatLng>} latLngs Array of Google Maps' LatLngs interface to be applied the given distance in between each.
    * @see {https://developers.google.com/maps/documentation/javascript/reference/coordinates#LatLng}
    * @param {Number} [meters = 500] The distance, in meters, to be applied in the algorithm. Defaults to 500.
+   * @param {Object} [options] Object with the configurations;
+   * @param {AbortSignal} [options.signal] Signal which aborts the action;
    * @promise {promise}
    * @fulfill {Array.<window.google.maps.LatLng>}
    * @reject {Error}
    * @returns {Promise.<Array.<window.google.maps.LatLng>>} Array of Google Maps' LatLngs, with the given distance between each.
    */
-  const _getPositionsEveryProvidedMeters = (latLngs, meters = 500) => {
+  const _getPositionsEveryProvidedMeters = (latLngs, meters = 500, { signal } = {}) => {
     checkForGeometryLib();
 
     if (latLngs.length <= 1) {
@@ -160,108 +275,209 @@ const useGoogleMapsActions = () => {
       throw new Error('The two objects must be different.');
     }
 
-    return new Promise((resolve, reject) => {
-      try {
-        const [first] = latLngs;
-        const positions = [first];
-
-        const {
-          computeDistanceBetween,
-          computeOffsetOrigin,
-          computeHeading,
-        } = window.google.maps.geometry.spherical;
-
-        if (latLngs.length > 2) {
-          let prev = first;
-          let acc = 0;
-
-          for (const latLng of latLngs) {
-            acc += computeDistanceBetween(prev, latLng);
-
-            if (Math.round(acc) < meters) {
-              prev = latLng;
-            } else {
-              const diff = acc - meters;
-              const heading = computeHeading(prev, latLng);
-              const adjustedPosition = computeOffsetOrigin(latLng, diff, heading);
-
-              acc = 0;
-              prev = adjustedPosition;
-              positions.push(adjustedPosition);
+    return _runAbortable(
+      'getPositionsEveryProvidedMeters',
+      signal,
+      () =>
+        new Promise((resolve, reject) => {
+          try {
+            const [first] = latLngs;
+            const positions = [first];
+
+            const {
+              computeDistanceBetween,
+              computeOffsetOrigin,
+              computeHeading,
+            } = window.google.maps.geometry.spherical;
+
+            if (latLngs.length > 2) {
+              let prev = first;
+              let acc = 0;
+
+              for (const latLng of latLngs) {
+                acc += computeDistanceBetween(prev, latLng);
+
+                if (Math.round(acc) < meters) {
+                  prev = latLng;
+                } else {
+                  const diff = acc - meters;
+                  const heading = computeHeading(prev, latLng);
+                  const adjustedPosition = computeOffsetOrigin(latLng, diff, heading);
+
+                  acc = 0;
+                  prev = adjustedPosition;
+                  positions.push(adjustedPosition);
+                }
+              }
             }
+
+            resolve(positions);
+          } catch (error) {
+            reject(error);
           }
-        }
+        })
+    );
+  };
 
-        resolve(positions);
-      } catch (error) {
-        reject(error);
+  /**
+   * Requests Google Maps' Geocoder through the scheduler and the cache, if any.
+   * @param {window.google.maps.GeocoderRequest} geocoderRequest Google Maps' GeocoderRequest interface.
+   * @param {AbortSignal} [signal] Signal which aborts the request.
+   * @promise {promise}
+   * @fulfill {window.google.maps.GeocoderResult}
+   * @reject {(GoogleMapsServiceError|Error)}
+   * @returns {Promise.<window.google.maps.GeocoderResult>} Google Maps' GeocoderResult interface.
+   */
+  const _requestGeocoder = useCallback(
+    (geocoderRequest, signal) => {
+      if (!_geocoderRef.current) {
+        _geocoderRef.current = new window.google.maps.Geocoder();
       }
-    });
-  };
+
+      const geocode = () =>
+        scheduler.schedule(
+          () =>
+            new Promise((resolve, reject) => {
+              try {
+                _geocoderRef.current.geocode(geocoderRequest, (geocoderResult, geocoderStatus) => {
+                  if (geocoderStatus === 'OK') {
+                    resolve(geocoderResult);
+                  } else {
+                    reject(new GoogleMapsServiceError(geocoderStatus, 'Geocoder', geocoderRequest));
+                  }
+                });
+              } catch (error) {
+                reject(error);
+              }
+            }),
+          // Requests shared through the cache are not aborted by a single caller.
+          { signal: _cache ? undefined : signal }
+        );
+
+      return withAbortSignal(
+        _cache ? _cache.resolve('Geocoder', geocoderRequest, geocode) : geocode(),
+        signal
+      );
+    },
+    [scheduler, _cache]
+  );
 
   /**
    * Get GeocoderResult using Google Maps' Geocoder geocode method.
    * @param {window.google.maps.GeocoderRequest} geocoderRequest Google Maps' GeocoderRequest interface.
    * @see {https://developers.google.com/maps/documentation/javascript/reference/geocoder#GeocoderRequest}
+   * @param {Object} [options] Object with the configurations;
+   * @param {Boolean} [options.nullOnEmpty] If ZERO_RESULTS resolves null instead of rejecting;
+   * @param {AbortSignal} [options.signal] Signal which aborts the action;
    * @promise {promise}
    * @fulfill {(window.google.maps.GeocoderResult|null)}
-   * @reject {Error}
-   * @returns {Promise.<(window.google.maps.GeocoderResult|null)>} Google Maps' GeocoderResult interface or null.
+   * @reject {(GoogleMapsServiceError|Error)}
+   * @returns {Promise.<(window.google.maps.GeocoderResult|null)>} Google Maps' GeocoderResult interface, or null for ZERO_RESULTS with nullOnEmpty.
    * @see {https://developers.google.com/maps/documentation/javascript/reference/geocoder#GeocoderResult}
    */
-  const _getResultsFromGeocoderService = useCallback((geocoderRequest) => {
-    checkForGoogleMaps();
+  const _getResultsFromGeocoderService = useCallback(
+    (geocoderRequest, { nullOnEmpty, signal } = {}) => {
+      checkForGoogleMaps();
 
-    if (!_geocoderRef.current) {
-      _geocoderRef.current = new window.google.maps.Geocoder();
-    }
+      return _runAbortable('getResultsFromGeocoderService', signal, (abortSignal) =>
+        _requestGeocoder(geocoderRequest, abortSignal)
+      ).catch(handleEmptyResults(nullOnEmpty));
+    },
+    [_runAbortable, _requestGeocoder]
+  );
 
-    return new Promise((resolve, reject) => {
-      try {
-        _geocoderRef.current.geocode(geocoderRequest, (geocoderResult, geocoderStatus) => {
-          if (geocoderStatus === 'OK') {
-            resolve(geocoderResult);
-          } else {
-            resolve(null);
-          }
-        });
-      } catch (error) {
-        reject(error);
-      }
-    });
-  }, []);
+  /**
+   * Geocodes many requests through the scheduler, reporting the progress as each one settles.
+   * @param {Array.<window.google.maps.GeocoderRequest>} geocoderRequests Google Maps' GeocoderRequest interfaces.
+   * @see {https://developers.google.com/maps/documentation/javascript/reference/geocoder#GeocoderRequest}
+   * @param {Object} [options] Object with the configurations;
+   * @param {Function} [options.onProgress] Called with the completed and total counts, and the request, result and error of the settled one;
+   * @param {Boolean} [options.nullOnEmpty] If ZERO_RESULTS resolves null instead of an error;
+   * @param {AbortSignal} [options.signal] Signal which aborts the whole batch;
+   * @promise {promise}
+   * @fulfill {Array.<Object>}
+   * @reject {Error}
+   * @returns {Promise.<Array.<Object>>} The request, result and error of each request, in the same order. Failed requests have a null result and only an abort rejects the batch.
+   */
+  const _geocodeMany = useCallback(
+    (geocoderRequests, { onProgress, nullOnEmpty, signal } = {}) => {
+      checkForGoogleMaps();
+
+      let completed = 0;
+
+      return _runAbortable('geocodeMany', signal, (abortSignal) =>
+        Promise.all(
+          geocoderRequests.map((geocoderRequest) =>
+            _requestGeocoder(geocoderRequest, abortSignal)
+              .catch(handleEmptyResults(nullOnEmpty))
+              .then(
+                (result) => ({ request: geocoderRequest, result, error: null }),
+                (error) => ({ request: geocoderRequest, result: null, error })
+              )
+              .then((geocoding) => {
+                completed += 1;
+
+                if (onProgress && !(abortSignal && abortSignal.aborted)) {
+                  onProgress({ completed, total: geocoderRequests.length, ...geocoding });
+                }
+
+                return geocoding;
+              })
+          )
+        )
+      );
+    },
+    [_runAbortable, _requestGeocoder]
+  );
 
   /**
    * Get DirectionsResult using Google Maps' DirectionsService route method.
    * @param {window.google.maps.DirectionsRequest} directionsRequest Google Maps' DirectionsRequest interface.
    * @see {https://developers.google.com/maps/documentation/javascript/reference/directions#DirectionsRequest}
+   * @param {Object} [options] Object with the configurations;
+   * @param {Boolean} [options.nullOnEmpty] If ZERO_RESULTS resolves null instead of rejecting;
+   * @param {AbortSignal} [options.signal] Signal which aborts the action;
    * @promise {promise}
-   * @fulfill {window.google.maps.DirectionsResult}
-   * @reject {Error}
-   * @returns {Promise.<window.google.maps.DirectionsResult>} Google Maps' DirectionsResult interface.
+   * @fulfill {(window.google.maps.DirectionsResult|null)}
+   * @reject {(GoogleMapsServiceError|Error)}
+   * @returns {Promise.<(window.google.maps.DirectionsResult|null)>} Google Maps' DirectionsResult interface, or null for ZERO_RESULTS with nullOnEmpty.
    * @see {https://developers.google.com/maps/documentation/javascript/reference/directions#DirectionsResult}
    */
-  const _getRouteFromDirectionsService = useCallback((directionsRequest) => {
-    checkForGoogleMaps();
-
-    if (!_directionsServiceRef.current) {
-      _directionsServiceRef.current = new window.google.maps.DirectionsService();
-    }
+  const _getRouteFromDirectionsService = useCallback(
+    (directionsRequest, { nullOnEmpty, signal } = {}) => {
+      checkForGoogleMaps();
 
-    return new Promise((resolve, reject) => {
-      try {
-        _directionsServiceRef.current.route(directionsRequest, (response, status) => {
-          if (status === 'OK') {
-            resolve(response);
-          } else {
-            resolve(null);
-          }
-        });
-      } catch (error) {
-        reject(error);
+      if (!_directionsServiceRef.current) {
+        _directionsServiceRef.current = new window.google.maps.DirectionsService();
       }
-    });
-  }, []);
+
+      return _runAbortable('getRouteFromDirectionsService', signal, (abortSignal) => {
+        const route = () =>
+          scheduler.schedule(
+            () =>
+              new Promise((resolve, reject) => {
+                try {
+                  _directionsServiceRef.current.route(directionsRequest, (response, status) => {
+                    if (status === 'OK') {
+                      resolve(response);
+                    } else {
+                      reject(
+                        new GoogleMapsServiceError(status, 'DirectionsService', directionsRequest)
+                      );
+                    }
+                  });
+                } catch (error) {
+                  reject(error);
+                }
+              }),
+            { signal: _cache ? undefined : abortSignal }
+          );
+
+        return _cache ? _cache.resolve('DirectionsService', directionsRequest, route) : route();
+      }).catch(handleEmptyResults(nullOnEmpty));
+    },
+    [scheduler, _cache, _runAbortable]
+  );
 
   /**
    * Create the Google Maps LatLngBounds object internally.
@@ -292,6 +508,7 @@ const useGoogleMapsActions = () => {
     getLatLngsFromDirectionsResult: _getLatLngsFromDirectionsResult,
     getPositionsEveryProvidedMeters: _getPositionsEveryProvidedMeters,
     getResultsFromGeocoderService: _getResultsFromGeocoderService,
+    geocodeMany: _geocodeMany,
     getRouteFromDirectionsService: _getRouteFromDirectionsService,
     createBounds: _createBounds,
     extendBounds: _extendBounds,
@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+
+import { SCRIPT_STATUS, createScriptState } from '../scriptRegistry';
+import { getGoogleMapsLibraryEntry, importGoogleMapsLibrary } from '../googleMapsBootstrap';
+
+/**
+ * Gets the state of a library entry.
+ * @param {Object} [entry] Library entry.
+ * @returns {Object} The library state.
+ */
+const getLibraryState = (entry) => ({
+  ...createScriptState(entry ? entry.status : SCRIPT_STATUS.IDLE, entry),
+  library: entry ? entry.library : null,
+});
+
+/**
+ * Loads a Google Maps' library on demand, once Google Maps' API is available, either loaded by
+ * useGoogleMapsScript or through Google's dynamic library bootstrap. Every component requesting
+ * the same library shares a single import, which fails if Google Maps' API script fails, or if
+ * nothing is loading the API.
+ * @param {String} name Library's name (e.g. places, geometry or marker).
+ * @param {Object} [options] Object with the configurations;
+ * @param {Number} [options.timeout] Time, in ms, to wait for the library, e.g. on slow networks.
+ * Defaults to 0 (none);
+ * @returns {Object} The library state: status ('idle', 'loading', 'ready' or 'error'), ready and
+ * loading flags, the error when it fails, the startedAt/settledAt timestamps and the library
+ * namespace once it is ready.
+ */
+const useGoogleMapsLibrary = (name, { timeout = 0 } = {}) => {
+  const [libraryState, setLibraryState] = useState(() =>
+    getLibraryState(name && getGoogleMapsLibraryEntry(name))
+  );
+
+  useEffect(() => {
+    if (!name) {
+      setLibraryState(getLibraryState());
+      return;
+    }
+
+    let active = true;
+    let timeoutId = null;
+    const entry = importGoogleMapsLibrary(name);
+
+    const onLibrarySettled = () => {
+      clearTimeout(timeoutId);
+
+      if (active) setLibraryState(getLibraryState(entry));
+    };
+
+    setLibraryState(getLibraryState(entry));
+    entry.promise.then(onLibrarySettled, onLibrarySettled);
+
+    if (timeout > 0 && entry.status === SCRIPT_STATUS.LOADING) {
+      timeoutId = setTimeout(() => {
+        if (!active || entry.status !== SCRIPT_STATUS.LOADING) return;
+
+        setLibraryState({
+          ...createScriptState(SCRIPT_STATUS.ERROR, {
+            error: new Error(`The library '${name}' was not loaded after ${timeout}ms.`),
+            startedAt: entry.startedAt,
+            settledAt: Date.now(),
+          }),
+          library: null,
+        });
+      }, timeout);
+    }
+
+    return () => {
+      active = false;
+      clearTimeout(timeoutId);
+    };
+  }, [name, timeout]);
+
+  return libraryState;
+};
+
+export default useGoogleMapsLibrary;
@@ -1,33 +1,459 @@
-import { useMemo } from 'react';
+import { useState, useEffect, useContext, useMemo, useRef } from 'react';
 
-import useExternalScript from '../useExternalScript';
+import useExternalScript, { SCRIPT_STATUS } from '../useExternalScript';
+import { LOAD_STRATEGY } from '../useLoadStrategy';
+import { ResourceCollectorContext } from '../resourceCollector';
+import {
+  CALLBACK_NAME,
+  getAuthFailure,
+  importGoogleMapsLibrary,
+  isGoogleMapsBootstrapped,
+  isGoogleMapsLoaded,
+  markGoogleMapsRequested,
+  registerGoogleMapsGlobals,
+  rejectGoogleMapsBootstrap,
+  subscribeAuthFailure,
+} from '../googleMapsBootstrap';
+import { buildUrl, canUseDOM } from '../utils';
 
 /**
- * Loads Google Maps' API script.
- * @param {String} clientId Your Google Maps' client ID.
+ * Possible values of the status returned by useGoogleMapsScript.
+ */
+export const GOOGLE_MAPS_STATUS = {
+  ...SCRIPT_STATUS,
+  AUTH_ERROR: 'authError',
+};
+
+/**
+ * Url parameters which can't differ between calls, since the API can only be included once.
+ * Libraries are merged instead, and map IDs are only preloaded by the first call.
+ */
+const CONFLICTING_PARAMS = [
+  'key',
+  'client',
+  'v',
+  'language',
+  'region',
+  'channel',
+  'solution_channel',
+  'auth_referrer_policy',
+];
+
+/**
+ * Attribute of the script tag collected on the server, which the client claims as its loader.
+ */
+const LOADER_ATTRIBUTE = 'data-google-maps-loader';
+
+/**
+ * Callback of the script tag collected on the server, which runs before the bootstrap callback
+ * is registered, so its load is checked through isGoogleMapsLoaded instead.
+ */
+const COLLECTED_CALLBACK = 'Function.prototype';
+
+/**
+ * Loader claimed by each scope: the page, on the client, or the collector of a server render.
+ */
+const loaders = new WeakMap();
+const clientScope = {};
+const warnedConflicts = new Set();
+
+/**
+ * Imports of the libraries missing from the loader's script, one per set of libraries.
+ */
+const librariesImports = new Map();
+
+/**
+ * Sorts and dedupes a list of url parameter values, so the order doesn't change the url.
+ * @param {Array.<String>} [values] The values.
+ * @returns {String} The values joined by commas.
+ */
+const joinSortedValues = (values) => {
+  if (!Array.isArray(values)) return '';
+
+  return Array.from(new Set(values))
+    .sort()
+    .join(',');
+};
+
+/**
+ * Gets the loader of the script tag collected on the server, if any, so the client adopts it
+ * instead of requesting Google Maps' API again.
+ * @returns {(Object|null)} The loader, with the src, url parameters and nonce of the tag.
+ */
+const getCollectedLoader = () => {
+  const script = document.querySelector(`script[${LOADER_ATTRIBUTE}]`);
+
+  if (!script) return null;
+
+  const src = script.getAttribute('src');
+  const params = { libraries: '' };
+
+  new URL(src, window.location.href).searchParams.forEach((value, name) => {
+    params[name] = value;
+  });
+
+  return {
+    src,
+    params,
+    nonce: script.nonce || script.getAttribute('nonce') || undefined,
+    isReady: isGoogleMapsLoaded,
+    stack: null,
+  };
+};
+
+/**
+ * Claims the singleton loader of the scope, since Google Maps' API can't be included more than
+ * once. The first call claims it with its src and nonce, which every other call reuses, unless
+ * the server collected a tag, claimed on the client in its place. Libraries missing from the
+ * first call are imported once the API loads, while any other conflicting option is an error,
+ * warned in development with both call sites' options.
+ * @param {Object} scope The page, on the client, or the collector of the server render.
+ * @param {String} src Script's url built from the options of the call site.
+ * @param {Object} params Url parameters of the call site.
+ * @param {String} [nonce] Content Security Policy nonce of the call site.
+ * @param {String} [callSite] Stack of the call site, captured while its component renders.
+ * @returns {Object} The loader's src, nonce and readiness check, the libraries to be imported and
+ * the conflict error, if any.
+ */
+const claimLoader = (scope, src, params, nonce, callSite) => {
+  if (scope === clientScope) markGoogleMapsRequested();
+
+  if (!loaders.has(scope)) {
+    loaders.set(
+      scope,
+      (scope === clientScope && getCollectedLoader()) || {
+        src,
+        params,
+        nonce,
+        isReady: isGoogleMapsBootstrapped,
+        stack: callSite,
+      }
+    );
+  }
+
+  const loader = loaders.get(scope);
+  const loadedLibraries = loader.params.libraries.split(',');
+  const missingLibraries = params.libraries
+    .split(',')
+    .filter((library) => library && !loadedLibraries.includes(library));
+  const conflicts = CONFLICTING_PARAMS.filter((name) => loader.params[name] !== params[name]);
+  let error = null;
+
+  if (conflicts.length > 0) {
+    error = new Error(
+      `useGoogleMapsScript was called with ${conflicts.join(
+        ', '
+      )} different from the ones Google Maps' API was first requested with, and the API can only be included once.`
+    );
+
+    if (process.env.NODE_ENV !== 'production' && !warnedConflicts.has(src)) {
+      warnedConflicts.add(src);
+      // eslint-disable-next-line no-console
+      console.warn(error.message, {
+        first: { options: loader.params, callSite: loader.stack },
+        conflicting: { options: params, callSite },
+      });
+    }
+  }
+
+  return {
+    src: loader.src,
+    nonce: loader.nonce,
+    isReady: loader.isReady,
+    missingLibraries,
+    error,
+  };
+};
+
+/**
+ * Imports the libraries missing from the loader's script, sharing a single import per set of
+ * libraries, so a component suspended on it finds it settled once it renders again.
+ * @param {String} missingLibraries Names of the libraries, joined by commas.
+ * @returns {Object} The import, with its status, error and promise, which never rejects.
+ */
+const importMissingLibraries = (missingLibraries) => {
+  if (!librariesImports.has(missingLibraries)) {
+    const librariesImport = { status: SCRIPT_STATUS.LOADING, error: null };
+
+    librariesImport.promise = Promise.all(
+      missingLibraries.split(',').map((library) => importGoogleMapsLibrary(library).promise)
+    ).then(
+      () => {
+        librariesImport.status = SCRIPT_STATUS.READY;
+      },
+      (error) => {
+        librariesImport.status = SCRIPT_STATUS.ERROR;
+        librariesImport.error = error;
+      }
+    );
+    librariesImports.set(missingLibraries, librariesImport);
+  }
+
+  return librariesImports.get(missingLibraries);
+};
+
+/**
+ * Claims the loader of a server render, collecting a single script tag, whose libraries are
+ * merged from every call. The tag is loaded before the bootstrap callback is registered, so its
+ * url has no callback of its own.
+ * @param {Object} collector Collector of the server render.
+ * @param {String} baseUrl Url of Google Maps' API.
+ * @param {Object} params Url parameters of the call site.
+ * @param {String} [nonce] Content Security Policy nonce of the call site.
+ * @param {String} [callSite] Stack of the call site, captured while its component renders.
+ * @returns {Object} The loader, as returned by claimLoader, without libraries to be imported.
+ */
+const collectLoader = (collector, baseUrl, params, nonce, callSite) => {
+  const collectedParams = { ...params, callback: COLLECTED_CALLBACK };
+  const claimedLoader = claimLoader(
+    collector,
+    buildUrl(baseUrl, collectedParams),
+    collectedParams,
+    nonce,
+    callSite
+  );
+
+  if (claimedLoader.error) return claimedLoader;
+
+  const loader = loaders.get(collector);
+
+  if (claimedLoader.missingLibraries.length > 0) {
+    loader.params = {
+      ...loader.params,
+      libraries: joinSortedValues(
+        loader.params.libraries
+          .split(',')
+          .concat(claimedLoader.missingLibraries)
+          .filter(Boolean)
+      ),
+    };
+    loader.src = buildUrl(baseUrl, loader.params);
+  }
+
+  collector.collect(
+    { src: loader.src, nonce: loader.nonce, attributes: { [LOADER_ATTRIBUTE]: true } },
+    LOADER_ATTRIBUTE
+  );
+
+  return { ...claimedLoader, src: loader.src, missingLibraries: [] };
+};
+
+/**
+ * Loads Google Maps' API script, which is only ready once it calls the bootstrap callback.
+ * Authentication failures, reported by Google through gm_authFailure, set the status to
+ * 'authError'. The API is loaded once per page: calls with other libraries reuse the first
+ * script, and are only ready once their missing libraries are imported, while calls with any
+ * other conflicting option get the 'error' status instead of including a second script. The
+ * globals are registered, and the loader claimed, only once the component mounts, so nothing
+ * touches the DOM during render, unless it suspends, since it then runs no effects. On the
+ * server, a single script tag with the libraries of every call is collected by the
+ * ResourceCollectorProvider, if any, and adopted by the client.
+ * @param {(String|Object)} clientId Your Google Maps' client ID (deprecated by Google), or the
+ * options when authenticating with key.
+ * @param {String} [key] Your Google Maps' API key.
  * @param {Array[String]} libraries List of libraries to load.
  * @param {String} [versioning] Weekly, quarterly (default) or version number (e.g. 3.38).
- * @returns {Boolean} googleMapsReady as true for loaded and false for error.
- */
-const useGoogleMapsScript = (
-  clientId,
-  { libraries, versioning = 'quarterly', baseUrl = 'https://maps.googleapis.com/maps/api/js' } = {}
-) => {
-  const _clientId = useMemo(() => clientId, [clientId]);
-  const _versioning = useMemo(() => versioning, [versioning]);
-  const _libraries = useMemo(
-    () => (Array.isArray(libraries) && libraries.length > 0 ? libraries.join(',') : ''),
-    [libraries]
-  );
+ * @param {String} [language] Language of the map's labels and controls (e.g. pt-BR).
+ * @param {String} [region] Region code used to bias results (e.g. BR).
+ * @param {String} [channel] Channel used to track the usage.
+ * @param {Array[String]} [mapIds] Map IDs to be preloaded.
+ * @param {String} [solutionChannel] Solution channel used to track the usage.
+ * @param {String} [authReferrerPolicy] Referrer policy used to authenticate the key.
+ * @param {Number} [timeout] Time, in ms, to wait for each attempt. Defaults to 0 (none).
+ * @param {Number} [retries] How many times a failed load is retried. Defaults to 0.
+ * @param {Number} [backoff] Delay, in ms, before the first retry. Defaults to 1000.
+ * @param {String} [nonce] Content Security Policy nonce of the script tag.
+ * @param {String} [strategy] When to load: 'immediate' (default), 'idle', 'visible' or 'manual'.
+ * @param {Object} [targetRef] Ref of the element observed by the 'visible' strategy.
+ * @param {Boolean} [suspense] If the component should suspend while the script, or any library
+ * missing from it, loads, and throw its errors, including authentication failures and conflicting
+ * options, to the nearest error boundary.
+ * @returns {Object} The script state, as returned by useExternalScript, with 'authError' status
+ * when the authentication fails.
+ */
+const useGoogleMapsScript = (clientId, options) => {
+  const {
+    key,
+    libraries,
+    versioning = 'quarterly',
+    language,
+    region,
+    channel,
+    mapIds,
+    solutionChannel,
+    authReferrerPolicy,
+    baseUrl = 'https://maps.googleapis.com/maps/api/js',
+    timeout,
+    retries,
+    backoff,
+    nonce,
+    strategy,
+    targetRef,
+    suspense,
+  } = (clientId && typeof clientId === 'object' ? clientId : options) || {};
+  const _clientId = typeof clientId === 'string' ? clientId : undefined;
+  const [_authFailure, setAuthFailure] = useState(getAuthFailure);
+  const [_loader, setLoader] = useState(null);
+  const [, setSettledImport] = useState(null);
+  const _collector = useContext(ResourceCollectorContext);
+  const _libraries = useMemo(() => joinSortedValues(libraries), [libraries]);
+  const _mapIds = useMemo(() => joinSortedValues(mapIds), [mapIds]);
 
-  const _src = useMemo(
-    () => `${baseUrl}?client=${_clientId}&v=${_versioning}&libraries=${_libraries}`,
-    [_clientId, _libraries, _versioning, baseUrl]
+  const _params = useMemo(
+    () => ({
+      key,
+      client: _clientId,
+      v: versioning,
+      libraries: _libraries,
+      language,
+      region,
+      channel,
+      map_ids: _mapIds,
+      solution_channel: solutionChannel,
+      auth_referrer_policy: authReferrerPolicy,
+      callback: CALLBACK_NAME,
+    }),
+    [
+      key,
+      _clientId,
+      versioning,
+      _libraries,
+      language,
+      region,
+      channel,
+      _mapIds,
+      solutionChannel,
+      authReferrerPolicy,
+    ]
   );
+  const _src = useMemo(() => buildUrl(baseUrl, _params), [baseUrl, _params]);
+  const _callSiteRef = useRef(null);
+
+  // Captured while rendering, since the stack of an effect doesn't name the component.
+  if (process.env.NODE_ENV !== 'production' && !_callSiteRef.current) {
+    _callSiteRef.current = new Error().stack;
+  }
+
+  let _claimedLoader = _loader;
 
-  const googleMapsReady = useExternalScript({ src: _src });
+  if (!canUseDOM) {
+    _claimedLoader =
+      _collector && (!strategy || strategy === LOAD_STRATEGY.IMMEDIATE)
+        ? collectLoader(_collector, baseUrl, _params, nonce, _callSiteRef.current)
+        : null;
+  } else if (!_claimedLoader && suspense) {
+    // A suspended component runs no effects, so it claims the loader while rendering instead.
+    registerGoogleMapsGlobals();
+    _claimedLoader = claimLoader(clientScope, _src, _params, nonce, _callSiteRef.current);
+  }
 
-  return googleMapsReady;
+  // Declared before useExternalScript, so the globals are registered before the script is requested.
+  useEffect(() => {
+    registerGoogleMapsGlobals();
+    setLoader(claimLoader(clientScope, _src, _params, nonce, _callSiteRef.current));
+  }, [_src, _params, nonce]);
+
+  const googleMapsScript = useExternalScript({
+    // On the server, the loader collects the script instead.
+    src: canUseDOM && _claimedLoader && !_claimedLoader.error ? _claimedLoader.src : null,
+    timeout,
+    retries,
+    backoff,
+    nonce: _claimedLoader ? _claimedLoader.nonce : nonce,
+    isReady: _claimedLoader ? _claimedLoader.isReady : isGoogleMapsBootstrapped,
+    strategy,
+    targetRef,
+    suspense,
+  });
+
+  useEffect(() => {
+    setAuthFailure(getAuthFailure());
+
+    return subscribeAuthFailure(setAuthFailure);
+  }, []);
+
+  useEffect(() => {
+    if (googleMapsScript.status === SCRIPT_STATUS.ERROR) {
+      rejectGoogleMapsBootstrap(googleMapsScript.error);
+    }
+  }, [googleMapsScript.status, googleMapsScript.error]);
+
+  const _missingLibraries = _claimedLoader ? _claimedLoader.missingLibraries.join(',') : '';
+  const _librariesImport =
+    googleMapsScript.ready && _missingLibraries ? librariesImports.get(_missingLibraries) : null;
+  const _librariesImportStatus = _librariesImport ? _librariesImport.status : null;
+
+  useEffect(() => {
+    if (!googleMapsScript.ready || !_missingLibraries) return;
+
+    let active = true;
+
+    importMissingLibraries(_missingLibraries).promise.then(() => {
+      if (active) setSettledImport(_missingLibraries);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, [googleMapsScript.ready, _missingLibraries]);
+
+  const _loaderError = _claimedLoader && _claimedLoader.error;
+  const _importError = _librariesImport && _librariesImport.error;
+
+  const googleMapsState = useMemo(() => {
+    const error = _authFailure || _loaderError || _importError;
+
+    if (error) {
+      return {
+        ...googleMapsScript,
+        status: _authFailure ? GOOGLE_MAPS_STATUS.AUTH_ERROR : GOOGLE_MAPS_STATUS.ERROR,
+        ready: false,
+        loading: false,
+        error,
+      };
+    }
+
+    if (
+      googleMapsScript.ready &&
+      _missingLibraries &&
+      _librariesImportStatus !== SCRIPT_STATUS.READY
+    ) {
+      return {
+        ...googleMapsScript,
+        status: GOOGLE_MAPS_STATUS.LOADING,
+        ready: false,
+        loading: true,
+      };
+    }
+
+    return googleMapsScript;
+  }, [
+    googleMapsScript,
+    _authFailure,
+    _loaderError,
+    _importError,
+    _missingLibraries,
+    _librariesImportStatus,
+  ]);
+
+  if (suspense && canUseDOM) {
+    if (googleMapsState.error) throw googleMapsState.error;
+
+    if (googleMapsState.loading && googleMapsScript.ready) {
+      throw importMissingLibraries(_missingLibraries).promise;
+    }
+  }
+
+  return googleMapsState;
 };
 
+/**
+ * Compatibility path for the former boolean API of useGoogleMapsScript.
+ * @param {(String|Object)} clientId Same arguments accepted by useGoogleMapsScript.
+ * @param {Object} [options] Same options accepted by useGoogleMapsScript.
+ * @returns {Boolean} True for loaded API and false while loading or for errors.
+ */
+export const useGoogleMapsScriptReady = (clientId, options) =>
+  useGoogleMapsScript(clientId, options).ready;
+
 export default useGoogleMapsScript;
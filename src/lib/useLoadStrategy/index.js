@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Possible values of the strategy used to trigger the load of external resources.
+ */
+export const LOAD_STRATEGY = {
+  IMMEDIATE: 'immediate',
+  IDLE: 'idle',
+  VISIBLE: 'visible',
+  MANUAL: 'manual',
+};
+
+/**
+ * Tells when an external resource should start loading. Strategies not supported by the browser
+ * fall back to loading immediately, as does the 'visible' strategy without targetRef. Otherwise,
+ * it waits for targetRef's element to be attached, observing it from the first render it is
+ * available, and warns in development when it isn't attached once the component mounts.
+ * @param {String} [strategy] One of LOAD_STRATEGY values. Defaults to 'immediate'.
+ * @param {Object} [targetRef] Ref of the element observed by the 'visible' strategy.
+ * @returns {Object} The triggered flag and the load function, which triggers the load manually.
+ */
+const useLoadStrategy = (strategy = LOAD_STRATEGY.IMMEDIATE, targetRef) => {
+  const [triggered, setTriggered] = useState(strategy === LOAD_STRATEGY.IMMEDIATE);
+
+  const _load = useCallback(() => setTriggered(true), []);
+  const _observationRef = useRef(null);
+
+  useEffect(() => {
+    if (triggered || strategy === LOAD_STRATEGY.MANUAL) return;
+
+    if (strategy === LOAD_STRATEGY.IDLE && window.requestIdleCallback) {
+      const idleCallbackId = window.requestIdleCallback(_load);
+
+      return () => window.cancelIdleCallback(idleCallbackId);
+    }
+
+    if (strategy === LOAD_STRATEGY.VISIBLE && window.IntersectionObserver && targetRef) {
+      if (process.env.NODE_ENV !== 'production' && !targetRef.current) {
+        // eslint-disable-next-line no-console
+        console.warn(
+          "The 'visible' strategy won't load anything until its targetRef is attached to an element."
+        );
+      }
+
+      return;
+    }
+
+    if (process.env.NODE_ENV !== 'production' && strategy === LOAD_STRATEGY.VISIBLE && !targetRef) {
+      // eslint-disable-next-line no-console
+      console.warn("The 'visible' strategy requires targetRef, so it is loading immediately.");
+    }
+
+    _load();
+  }, [strategy, triggered, _load, targetRef]);
+
+  // Runs after every render, since attaching the target to the ref doesn't cause one.
+  useEffect(() => {
+    const observation = _observationRef.current;
+    const target =
+      !triggered && strategy === LOAD_STRATEGY.VISIBLE && window.IntersectionObserver && targetRef
+        ? targetRef.current
+        : null;
+
+    if (observation && observation.target === target) return;
+
+    if (observation) observation.observer.disconnect();
+
+    _observationRef.current = null;
+
+    if (!target) return;
+
+    const observer = new window.IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) _load();
+    });
+
+    observer.observe(target);
+    _observationRef.current = { target, observer };
+  });
+
+  useEffect(
+    () => () => {
+      if (_observationRef.current) _observationRef.current.observer.disconnect();
+    },
+    []
+  );
+
+  return { triggered, load: _load };
+};
+
+export default useLoadStrategy;
@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react';
+
+import { debounce as debounceFn, throttle as throttleFn } from '../utils';
+
+/**
+ * Subscribes to an event of a map, or any other Google Maps' MVCObject (e.g. a marker), removing
+ * the listener on unmount. The latest handler is always called, without subscribing again when
+ * it changes.
+ * @param {window.google.maps.MVCObject} target Map or overlay which fires the event.
+ * @see {https://developers.google.com/maps/documentation/javascript/reference/event#event.addListener}
+ * @param {String} eventName Event's name (e.g. idle, bounds_changed, click or zoom_changed).
+ * @param {Function} handler Called with the event's arguments.
+ * @param {Object} [options] Object with the configurations;
+ * @param {Number} [options.throttle] Minimum time, in ms, between handler calls;
+ * @param {Number} [options.debounce] Time, in ms, without events before handler is called;
+ * @returns {void}
+ */
+const useMapEvent = (target, eventName, handler, { throttle, debounce } = {}) => {
+  const _handlerRef = useRef(handler);
+
+  _handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!target || !eventName) return;
+
+    const callHandler = (...args) => {
+      if (_handlerRef.current) _handlerRef.current(...args);
+    };
+
+    let listener = callHandler;
+
+    if (debounce > 0) listener = debounceFn(callHandler, debounce);
+    else if (throttle > 0) listener = throttleFn(callHandler, throttle);
+
+    const mapsEventListener = window.google.maps.event.addListener(target, eventName, listener);
+
+    return () => {
+      mapsEventListener.remove();
+
+      if (listener.cancel) listener.cancel();
+    };
+  }, [target, eventName, throttle, debounce]);
+};
+
+export default useMapEvent;
@@ -0,0 +1,20 @@
+import { useContext } from 'react';
+
+import { GoogleMapsContext } from '../GoogleMapsProvider';
+
+/**
+ * Gets a map instance created by useGoogleMap and registered by id in the GoogleMapsProvider.
+ * @param {String} id Map's id.
+ * @returns {window.google.maps.Map} The map instance, or null while it is not registered.
+ */
+const useMapInstance = (id) => {
+  const context = useContext(GoogleMapsContext);
+
+  if (!context) {
+    throw new Error('useMapInstance must be used within a GoogleMapsProvider.');
+  }
+
+  return context.maps[id] || null;
+};
+
+export default useMapInstance;
@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+import { clusterPoints } from '../clustering';
+import useGoogleMapsActions from '../useGoogleMapsActions';
+import useMapEvent from '../useMapEvent';
+import { getMarkerPosition, isMarker, setMarkerMap } from '../useMarkers';
+
+/**
+ * Gets the position of a raw item: its position property, or the item itself.
+ * @param {Object} item The item.
+ * @returns {(window.google.maps.LatLng|window.google.maps.LatLngLiteral)} The item's position.
+ */
+const getItemPosition = (item) => (item.position === undefined ? item : item.position);
+
+/**
+ * Creates the default marker of a cluster, labeled with its count.
+ * @param {Object} cluster The cluster.
+ * @param {window.google.maps.Map} map Google Maps' Map instance.
+ * @param {Function} [getClusterOptions] Gets the MarkerOptions of the cluster's marker.
+ * @returns {window.google.maps.Marker} The cluster's marker.
+ */
+const createClusterMarker = (cluster, map, getClusterOptions) =>
+  new window.google.maps.Marker({
+    position: cluster.position,
+    label: String(cluster.count),
+    zIndex: window.google.maps.Marker.MAX_ZINDEX + cluster.count,
+    ...(getClusterOptions ? getClusterOptions(cluster) : {}),
+    map,
+  });
+
+/**
+ * Clusters markers, e.g. from useMarkers, or raw positions on a grid, recomputing the clusters
+ * whenever the map is idle. Markers in clusters are hidden and a cluster marker, showing the
+ * count, is rendered in their place. Clicking a cluster zooms the map to its bounds.
+ * @param {window.google.maps.Map} map Google Maps' Map instance.
+ * @param {Array.<*>} items Markers, LatLngs, LatLngLiterals or items with a position.
+ * @param {Object} [options] Object with the configurations;
+ * @param {Function} [options.getPosition] Gets the position of raw items. Defaults to the item's
+ * position property, or the item itself;
+ * @param {Number} [options.gridSize] Size, in pixels, of the grid cells. Defaults to 60;
+ * @param {Number} [options.minClusterSize] Minimum number of items of a cluster. Defaults to 2;
+ * @param {Number} [options.maxZoom] Zoom level above which items are not clustered;
+ * @param {Function} [options.getClusterOptions] Gets the MarkerOptions, e.g. icon and label, of a
+ * cluster's marker;
+ * @param {Function} [options.renderCluster] Creates the marker of a cluster, e.g. an
+ * AdvancedMarkerElement, instead of the default Marker;
+ * @param {Function} [options.onClusterClick] Called with the cluster and the event on click;
+ * @param {Boolean} [options.zoomOnClick] If clicking a cluster zooms to its bounds. Defaults as
+ * true;
+ * @returns {Object} The clusters, each with its position, count, items and bounds. Items not
+ * clustered are in clusters with count 1.
+ */
+const useMarkerClusterer = (map, items, options = {}) => {
+  const { gridSize, minClusterSize, maxZoom } = options;
+  const { createBounds, extendBounds, fitBounds } = useGoogleMapsActions();
+  const [clusters, setClusters] = useState([]);
+  const _optionsRef = useRef(options);
+  const _itemsRef = useRef(items);
+
+  _optionsRef.current = options;
+  _itemsRef.current = items;
+
+  const _computeClusters = useCallback(() => {
+    const zoom = map && map.getZoom();
+
+    if (zoom === undefined || zoom === null) return;
+
+    const { getPosition = getItemPosition } = _optionsRef.current;
+
+    setClusters(
+      clusterPoints(items || [], {
+        zoom,
+        getPosition: (item) => (isMarker(item) ? getMarkerPosition(item) : getPosition(item)),
+        gridSize,
+        minClusterSize,
+        maxZoom,
+      })
+    );
+  }, [map, items, gridSize, minClusterSize, maxZoom]);
+
+  useEffect(() => {
+    _computeClusters();
+  }, [_computeClusters]);
+
+  useMapEvent(map, 'idle', _computeClusters);
+
+  useEffect(() => {
+    if (!map) return;
+
+    const { getClusterOptions, renderCluster } = _optionsRef.current;
+    const clusterMarkers = [];
+    const hiddenMarkers = [];
+
+    clusters.forEach((cluster) => {
+      if (cluster.count === 1) {
+        if (isMarker(cluster.items[0])) setMarkerMap(cluster.items[0], map);
+        return;
+      }
+
+      cluster.items.forEach((item) => {
+        if (!isMarker(item)) return;
+
+        setMarkerMap(item, null);
+        hiddenMarkers.push(item);
+      });
+
+      const clusterMarker = renderCluster
+        ? renderCluster(cluster, map)
+        : createClusterMarker(cluster, map, getClusterOptions);
+
+      clusterMarker.addListener('click', (event) => {
+        const { onClusterClick, zoomOnClick = true } = _optionsRef.current;
+
+        if (onClusterClick) onClusterClick(cluster, event);
+
+        if (!zoomOnClick) return;
+
+        createBounds();
+        extendBounds({ lat: cluster.bounds.north, lng: cluster.bounds.east });
+        extendBounds({ lat: cluster.bounds.south, lng: cluster.bounds.west });
+        fitBounds(map);
+      });
+
+      clusterMarkers.push(clusterMarker);
+    });
+
+    return () => {
+      clusterMarkers.forEach((clusterMarker) => {
+        window.google.maps.event.clearInstanceListeners(clusterMarker);
+        setMarkerMap(clusterMarker, null);
+      });
+      // Shows the markers it hid again, unless they were removed from the items meanwhile.
+      hiddenMarkers.forEach((marker) => {
+        if ((_itemsRef.current || []).includes(marker)) setMarkerMap(marker, map);
+      });
+    };
+  }, [map, clusters, createBounds, extendBounds, fitBounds]);
+
+  return { clusters };
+};
+
+export default useMarkerClusterer;
@@ -0,0 +1,226 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+import useGoogleMapsActions from '../useGoogleMapsActions';
+
+/**
+ * Checks if AdvancedMarkerElement is available, which requires the 'marker' library, e.g. loaded
+ * with useGoogleMapsLibrary('marker').
+ * @returns {Boolean} True when AdvancedMarkerElement can be used.
+ */
+const isAdvancedMarkerAvailable = () =>
+  Boolean(window.google.maps.marker && window.google.maps.marker.AdvancedMarkerElement);
+
+/**
+ * Checks if the marker is an AdvancedMarkerElement, instead of a Marker.
+ * @param {(window.google.maps.Marker|window.google.maps.marker.AdvancedMarkerElement)} marker The marker.
+ * @returns {Boolean} True for AdvancedMarkerElement.
+ */
+const isAdvancedMarker = (marker) => typeof marker.setPosition !== 'function';
+
+/**
+ * Checks if the value is a Marker or AdvancedMarkerElement, instead of a position.
+ * @param {*} value The value.
+ * @returns {Boolean} True for markers.
+ */
+export const isMarker = (value) => Boolean(value) && typeof value.addListener === 'function';
+
+/**
+ * Gets the position of a Marker or AdvancedMarkerElement.
+ * @param {(window.google.maps.Marker|window.google.maps.marker.AdvancedMarkerElement)} marker The marker.
+ * @returns {(window.google.maps.LatLng|window.google.maps.LatLngLiteral)} The marker's position.
+ */
+export const getMarkerPosition = (marker) =>
+  isAdvancedMarker(marker) ? marker.position : marker.getPosition();
+
+/**
+ * Shows a Marker or AdvancedMarkerElement on the map, or hides it when map is null.
+ * @param {(window.google.maps.Marker|window.google.maps.marker.AdvancedMarkerElement)} marker The marker.
+ * @param {window.google.maps.Map} map Google Maps' Map instance, or null.
+ * @returns {void}
+ */
+export const setMarkerMap = (marker, map) => {
+  if (isAdvancedMarker(marker)) marker.map = map;
+  else marker.setMap(map);
+};
+
+/**
+ * Updates the position and options of a Marker or AdvancedMarkerElement.
+ * @param {(window.google.maps.Marker|window.google.maps.marker.AdvancedMarkerElement)} marker The marker.
+ * @param {(window.google.maps.LatLng|window.google.maps.LatLngLiteral)} position New position.
+ * @param {Object} markerOptions New MarkerOptions or AdvancedMarkerElementOptions.
+ * @returns {void}
+ */
+const updateMarker = (marker, position, markerOptions) => {
+  if (isAdvancedMarker(marker)) {
+    Object.assign(marker, markerOptions, { position });
+  } else {
+    marker.setOptions(markerOptions);
+    marker.setPosition(position);
+  }
+};
+
+/**
+ * Adds the click and hover listeners of a marker.
+ * @param {(window.google.maps.Marker|window.google.maps.marker.AdvancedMarkerElement)} marker The marker.
+ * @param {Function} callHandler Called with the handler's name and the event.
+ * @returns {Function} Removes the listeners.
+ */
+const addMarkerListeners = (marker, callHandler) => {
+  const clickListener = marker.addListener('click', (event) => callHandler('onClick', event));
+
+  if (isAdvancedMarker(marker)) {
+    const onMouseEnter = (event) => callHandler('onMouseOver', event);
+    const onMouseLeave = (event) => callHandler('onMouseOut', event);
+
+    marker.addEventListener('mouseenter', onMouseEnter);
+    marker.addEventListener('mouseleave', onMouseLeave);
+
+    return () => {
+      clickListener.remove();
+      marker.removeEventListener('mouseenter', onMouseEnter);
+      marker.removeEventListener('mouseleave', onMouseLeave);
+    };
+  }
+
+  const mouseOverListener = marker.addListener('mouseover', (event) =>
+    callHandler('onMouseOver', event)
+  );
+  const mouseOutListener = marker.addListener('mouseout', (event) =>
+    callHandler('onMouseOut', event)
+  );
+
+  return () => {
+    clickListener.remove();
+    mouseOverListener.remove();
+    mouseOutListener.remove();
+  };
+};
+
+/**
+ * Renders a marker for each item on the map. On updates, items are diffed by key: markers are
+ * created for new keys, moved and updated for existing keys and removed for stale keys.
+ * @param {window.google.maps.Map} map Google Maps' Map instance.
+ * @param {Array.<Object>} items Items to be rendered as markers.
+ * @param {Object} [options] Object with the configurations;
+ * @param {Function} [options.getPosition] Gets the item's LatLng or LatLngLiteral. Defaults to
+ * the item's position;
+ * @param {Function} [options.getKey] Gets the item's unique key. Defaults to the item's id, or
+ * its index;
+ * @param {Function} [options.getOptions] Gets the item's MarkerOptions, or
+ * AdvancedMarkerElementOptions;
+ * @param {Function} [options.onClick] Called with the item, the marker and the event on click;
+ * @param {Function} [options.onMouseOver] Called with the item, the marker and the event on hover;
+ * @param {Function} [options.onMouseOut] Called with the item, the marker and the event once the
+ * pointer leaves the marker;
+ * @param {Boolean} [options.advanced] If AdvancedMarkerElement should be used. Defaults to true
+ * when it is available;
+ * @returns {Object} The markers, in the items' order, the getMarker function, which gets a marker
+ * by key, and the fitMarkers function, which fits the map to all the markers.
+ */
+const useMarkers = (map, items, options = {}) => {
+  const { advanced } = options;
+  const { createBounds, extendBounds, fitBounds } = useGoogleMapsActions();
+  const [markers, setMarkers] = useState([]);
+  const _optionsRef = useRef(options);
+  const _markersRef = useRef(new Map());
+
+  _optionsRef.current = options;
+
+  useEffect(() => {
+    const markerEntries = _markersRef.current;
+
+    return () => {
+      markerEntries.forEach((markerEntry) => {
+        markerEntry.removeListeners();
+        setMarkerMap(markerEntry.marker, null);
+      });
+      markerEntries.clear();
+      setMarkers([]);
+    };
+  }, [map, advanced]);
+
+  useEffect(() => {
+    if (!map) return;
+
+    const {
+      getPosition = (item) => item.position,
+      getKey = (item, index) => (item.id === undefined ? index : item.id),
+      getOptions,
+    } = _optionsRef.current;
+    const markerEntries = _markersRef.current;
+    const withAdvancedMarker = advanced === undefined ? isAdvancedMarkerAvailable() : advanced;
+    const keys = [];
+    let changed = false;
+
+    (items || []).forEach((item, index) => {
+      const key = getKey(item, index);
+      const position = getPosition(item);
+      const markerOptions = getOptions ? getOptions(item) : {};
+      const markerEntry = markerEntries.get(key);
+
+      keys.push(key);
+
+      if (markerEntry) {
+        markerEntry.item = item;
+        updateMarker(markerEntry.marker, position, markerOptions);
+        return;
+      }
+
+      const MarkerClass = withAdvancedMarker
+        ? window.google.maps.marker.AdvancedMarkerElement
+        : window.google.maps.Marker;
+      const marker = new MarkerClass({ ...markerOptions, position, map });
+      const newMarkerEntry = { item, marker };
+
+      newMarkerEntry.removeListeners = addMarkerListeners(marker, (handlerName, event) => {
+        const handler = _optionsRef.current[handlerName];
+
+        if (handler) handler(newMarkerEntry.item, marker, event);
+      });
+
+      markerEntries.set(key, newMarkerEntry);
+      changed = true;
+    });
+
+    const currentKeys = new Set(keys);
+
+    markerEntries.forEach((markerEntry, key) => {
+      if (currentKeys.has(key)) return;
+
+      markerEntry.removeListeners();
+      setMarkerMap(markerEntry.marker, null);
+      markerEntries.delete(key);
+      changed = true;
+    });
+
+    if (changed) setMarkers(keys.map((key) => markerEntries.get(key).marker));
+  }, [map, items, advanced]);
+
+  /**
+   * Gets the marker of an item.
+   * @param {*} key Item's key.
+   * @returns {(window.google.maps.Marker|window.google.maps.marker.AdvancedMarkerElement)} The
+   * marker, or undefined.
+   */
+  const _getMarker = useCallback((key) => {
+    const markerEntry = _markersRef.current.get(key);
+
+    return markerEntry && markerEntry.marker;
+  }, []);
+
+  /**
+   * Fits the map to all the markers, using the bounds helpers of useGoogleMapsActions.
+   * @returns {void}
+   */
+  const _fitMarkers = useCallback(() => {
+    if (!map || _markersRef.current.size === 0) return;
+
+    createBounds();
+    _markersRef.current.forEach(({ marker }) => extendBounds(getMarkerPosition(marker)));
+    fitBounds(map);
+  }, [map, createBounds, extendBounds, fitBounds]);
+
+  return { markers, getMarker: _getMarker, fitMarkers: _fitMarkers };
+};
+
+export default useMarkers;
@@ -1,5 +1,132 @@
+import { createAbortError } from './errors';
+
+/**
+ * If the code runs in a browser, and not on the server.
+ */
+export const canUseDOM = typeof window !== 'undefined' && typeof document !== 'undefined';
+
+/**
+ * Gets a global value by its path.
+ * @param {String} path Dot separated path from window, e.g. 'google.maps.places'.
+ * @returns {*} The value, or undefined when any part of the path is missing or on the server.
+ */
+export const getGlobalValue = (path) => {
+  if (!canUseDOM) return undefined;
+
+  return path
+    .split('.')
+    .reduce(
+      (value, key) => (value === undefined || value === null ? undefined : value[key]),
+      window
+    );
+};
+
+/**
+ * Builds an url with its query string, encoding every parameter and leaving the empty ones out.
+ * @param {String} baseUrl Url without the query string.
+ * @param {Object} params Query parameters. Arrays are joined by commas.
+ * @returns {String} The url.
+ */
+export const buildUrl = (baseUrl, params) => {
+  const query = Object.keys(params)
+    .map((name) => [name, Array.isArray(params[name]) ? params[name].join(',') : params[name]])
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return query ? `${baseUrl}?${query}` : baseUrl;
+};
+
+/**
+ * Creates a function that only calls fn once calls stop for the given wait.
+ * @param {Function} fn Function to be debounced.
+ * @param {Number} wait Time, in ms, without calls before fn is called.
+ * @returns {Function} The debounced function, with a cancel method to drop the pending call.
+ */
+export const debounce = (fn, wait) => {
+  let timeoutId = null;
+
+  const debounced = (...args) => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => fn(...args), wait);
+  };
+
+  debounced.cancel = () => clearTimeout(timeoutId);
+
+  return debounced;
+};
+
+/**
+ * Creates a function that calls fn at most once per wait. The last call made while waiting is
+ * called once the wait is over.
+ * @param {Function} fn Function to be throttled.
+ * @param {Number} wait Minimum time, in ms, between calls of fn.
+ * @returns {Function} The throttled function, with a cancel method to drop the pending call.
+ */
+export const throttle = (fn, wait) => {
+  let lastCalledAt = 0;
+  let timeoutId = null;
+
+  const throttled = (...args) => {
+    const remaining = lastCalledAt + wait - Date.now();
+
+    clearTimeout(timeoutId);
+
+    if (remaining <= 0) {
+      lastCalledAt = Date.now();
+      fn(...args);
+      return;
+    }
+
+    timeoutId = setTimeout(() => {
+      lastCalledAt = Date.now();
+      fn(...args);
+    }, remaining);
+  };
+
+  throttled.cancel = () => clearTimeout(timeoutId);
+
+  return throttled;
+};
+
+/**
+ * Rejects with an AbortError as soon as the signal is aborted, instead of waiting for the promise.
+ * @param {Promise} promise The promise.
+ * @param {AbortSignal} [signal] Signal which aborts the promise.
+ * @promise {promise}
+ * @fulfill {*}
+ * @reject {Error}
+ * @returns {Promise} The abortable promise.
+ */
+export const withAbortSignal = (promise, signal) => {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+
+    if (signal.aborted) {
+      onAbort();
+      promise.catch(() => {});
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort);
+
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+};
+
 export const checkForGoogleMaps = () => {
-  if (!(window && window.google)) {
+  if (!(canUseDOM && window.google)) {
     throw new Error('This method uses Google maps API and it is not loaded.');
   }
 };
@@ -8,6 +135,8 @@ export const checkForGeometryLib = () => {
   checkForGoogleMaps();
 
   if (!window.google.maps.geometry) {
-    throw new Error("The library 'geometry' must be included in your Google maps script.");
+    throw new Error(
+      "The library 'geometry' must be included in your Google maps script, or loaded with useGoogleMapsLibrary('geometry')."
+    );
   }
 };